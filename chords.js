@@ -0,0 +1,98 @@
+// Chord recognition
+// When two or more piano, keyboard or MIDI notes are held, names the chord they form
+// and marks the keys that contain all of them on the wheel, numbered best first.
+
+// Candidate keys numbered on the wheel
+const KEY_CANDIDATE_LIMIT = 6;
+
+const INVERSION_LABELS = ['Root position', '1st inversion', '2nd inversion', '3rd inversion'];
+
+const wheelKeyCandidates = document.getElementById('wheel-key-candidates');
+
+// Get the chord formed by the held single notes (wheel chords and modes don't count)
+// Returns { notes, bass, chord, keys } or null if fewer than two notes are held
+function getHeldChord() {
+    const notes = Array.from(new Set(heldNotes.filter(note => typeof note === 'string')));
+    if (notes.length < 2) return null;
+
+    // The lowest sounding held note is the bass
+    let bass = null;
+    let bassFrequency = Infinity;
+    Object.entries(activeOscillators).forEach(([actualFrequency, entry]) => {
+        const frequency = parseFloat(actualFrequency);
+        if (!entry.chordType && !entry.mode && notes.includes(entry.note) && frequency < bassFrequency) {
+            bass = entry.note;
+            bassFrequency = frequency;
+        }
+    });
+
+    const chord = identifyChord(notes, bass);
+    const keys = findKeysForNotes(notes, { bass, chordRoot: chord ? chord.root : null });
+    return { notes, bass, chord, keys };
+}
+
+// Name a recognized chord, e.g. "Am/C"
+function formatChordName(chord) {
+    const slash = chord.bass !== chord.root ? `/${formatNoteName(chord.bass)}` : '';
+    return `${formatNoteName(chord.root)}${chord.suffix}${slash}`;
+}
+
+// Describe held notes that aren't a known chord: the interval for two notes, otherwise the notes
+function formatHeldNotes(heldChord) {
+    const { notes, bass } = heldChord;
+    if (notes.length === 2) {
+        const lower = bass || notes[0];
+        const upper = notes.find(note => note !== lower);
+        return getIntervalName(lower, upper);
+    }
+    return notes.map(note => formatNoteName(note)).join(' ');
+}
+
+// Outline and number the candidate keys on the wheel
+function drawKeyCandidates(keys) {
+    wheelKeyCandidates.innerHTML = '';
+
+    keys.slice(0, KEY_CANDIDATE_LIMIT).forEach((key, index) => {
+        const segmentKey = `${key.note}-${key.type}`;
+        const outline = createSegmentOutline(segmentKey, 'key-candidate-outline');
+        if (!outline) return;
+        outline.setAttribute('stroke-opacity', (1 - index * 0.12).toFixed(2));
+        wheelKeyCandidates.appendChild(outline);
+
+        // Rank number near the inner edge, clear of the label and the library heat strip
+        const segment = wheelSegments[segmentKey];
+        const angle = (segment.startAngle + segment.endAngle) / 2;
+        const radius = segment.innerRadius + 22;
+        const rank = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        rank.setAttribute('x', centerX + radius * Math.cos(angle));
+        rank.setAttribute('y', centerY + radius * Math.sin(angle));
+        rank.setAttribute('class', 'key-candidate-rank');
+        rank.textContent = index + 1;
+        wheelKeyCandidates.appendChild(rank);
+    });
+}
+
+// Show a held chord in the center display: the chord, the best key and how many keys fit
+function showHeldChord(heldChord) {
+    const mainKeyElement = document.getElementById('center-main-key');
+    const altKeyElement = document.getElementById('center-alt-key');
+    const detailElement = document.getElementById('center-detail');
+    const { chord, keys } = heldChord;
+    const best = keys[0];
+
+    mainKeyElement.textContent = chord ? formatChordName(chord) : formatHeldNotes(heldChord);
+    mainKeyElement.style.color = 'white';
+    altKeyElement.textContent = best ? formatKeyCode(best.note, best.type) : 'No key';
+    altKeyElement.style.color = best ? keyColors[best.note][best.type] : 'white';
+
+    const details = [];
+    if (chord && chord.inversion > 0) {
+        details.push(INVERSION_LABELS[chord.inversion]);
+    }
+    details.push(`${keys.length} ${keys.length === 1 ? 'key fits' : 'keys fit'}`);
+    detailElement.textContent = details.join(' · ');
+
+    // The best key is the active key for harmonic mixing and tagging
+    displayedKey = best ? { note: best.note, type: best.type } : null;
+    updateHarmonicHighlighting(displayedKey && displayedKey.note, displayedKey && displayedKey.type);
+}
@@ -0,0 +1,102 @@
+// Shareable links
+// Links like #/key/8A?notation=openkey&flats=1 open the wheel at a key with the notation options
+// of whoever shared it. The options apply to this visit only and leave the saved settings alone.
+
+// Link options and the settings they set
+const LINK_OPTIONS = {
+    notation: { setting: 'notationType', parse: value => value },
+    flats: { setting: 'useFlats', parse: value => value === '1' || value === 'true' }
+};
+
+// Read a link hash: { key, settings } (key is null when the link has none), or null if it isn't a link
+function parseDeepLink(hash) {
+    const match = /^#\/(?:key\/([^?]*))?\/?(?:\?(.*))?$/.exec(hash);
+    if (!match) return null;
+
+    let key = null;
+    if (match[1]) {
+        try {
+            key = KeyTheory.parseKeyString(decodeURIComponent(match[1]));
+        } catch (e) {
+            key = null; // Malformed escape
+        }
+    }
+
+    const settings = {};
+    new URLSearchParams(match[2] || '').forEach((value, name) => {
+        if (hasOwn(LINK_OPTIONS, name)) {
+            settings[LINK_OPTIONS[name].setting] = LINK_OPTIONS[name].parse(value);
+        }
+    });
+    return { key, settings };
+}
+
+// Build the link for the displayed key and the current notation options
+function createDeepLink() {
+    const keyNotation = notationType === 'camelot' ? camelotKeys : openKeys;
+    const route = displayedKey ? `#/key/${keyNotation[displayedKey.note][displayedKey.type]}` : '#/';
+    const params = new URLSearchParams({ notation: notationType, flats: useFlats ? '1' : '0' });
+    return `${location.href.split('#')[0]}${route}?${params}`;
+}
+
+// Open a link: switch the notation options for this visit and show its key on the wheel
+function openDeepLink(link) {
+    const options = setSettingsOverrides(link.settings);
+
+    // Flip the toggles through the options panel so everything that shows a key updates
+    if (options.notationType && options.notationType !== notationType) {
+        toggleOptionCheckbox('notation-toggle');
+    }
+    if (typeof options.useFlats === 'boolean' && options.useFlats !== useFlats) {
+        toggleOptionCheckbox('flats-toggle');
+    }
+
+    if (link.key) {
+        lastPlayedNote = { note: link.key.note, source: 'linked', type: link.key.type };
+        selectScaleKey(link.key.note, link.key.type);
+        updateCenterDisplay();
+    }
+}
+
+// The options of a link opened with the page apply before the saved settings are read
+const initialDeepLink = parseDeepLink(location.hash);
+if (initialDeepLink) {
+    setSettingsOverrides(initialDeepLink.settings);
+}
+
+// Setup link handling and the copy link button
+function setupDeepLinks() {
+    const copyButton = document.getElementById('copy-link');
+
+    if (initialDeepLink) {
+        openDeepLink(initialDeepLink);
+    }
+
+    window.addEventListener('hashchange', () => {
+        const link = parseDeepLink(location.hash);
+        if (link) {
+            openDeepLink(link);
+        }
+    });
+
+    const showCopyResult = (text) => {
+        copyButton.textContent = text;
+        setTimeout(() => {
+            copyButton.textContent = 'Copy Link';
+        }, 1500);
+    };
+
+    // The address bar also shows the link, so it can still be copied from there without clipboard access
+    copyButton.addEventListener('click', () => {
+        const link = createDeepLink();
+        history.replaceState(null, '', link);
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(link)
+                .then(() => showCopyResult('Link Copied'))
+                .catch(() => showCopyResult('Link in Address Bar'));
+        } else {
+            showCopyResult('Link in Address Bar');
+        }
+        copyButton.blur();
+    });
+}
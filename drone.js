@@ -0,0 +1,161 @@
+// Latch / drone mode
+// In latch mode a wheel segment, piano key or keyboard key toggles a sustained drone instead of
+// playing while held. Drones are kept apart from activeOscillators, so releasing the mouse,
+// changing octave or the window losing focus doesn't stop them.
+
+// What a drone plays on top of its root
+const DRONE_VOICINGS = {
+    'root': { label: 'Root' },
+    'fifth': { label: 'Root + Fifth' },
+    'chord': { label: 'Chord' }
+};
+
+// Drone state
+let latchMode = false;
+let droneVoicing = 'root';
+let droneLevel = 0.7;
+
+// Sounding drones ("note-type-octave" -> { note, type, octave, voices }, octave includes the octave shift)
+const drones = new Map();
+
+// Drones have their own level on the way into the tone fader (created in setupDrone)
+let droneGainNode = null;
+
+// Get the semitone intervals a drone plays
+function getDroneIntervals(type) {
+    switch (droneVoicing) {
+        case 'fifth':
+            return [0, 7];
+        case 'chord':
+            return getChordIntervals(type);
+        default:
+            return [0];
+    }
+}
+
+// Mark the wheel segment and piano key of a drone
+function setDroneHighlight(noteName, type, isLatched) {
+    document.querySelectorAll(`.note-path[data-note="${noteName}"][data-chord-type="${type}"]`).forEach(el => {
+        el.classList.toggle('latched', isLatched);
+    });
+    const stillLatched = isLatched || Array.from(drones.values()).some(drone => drone.note === noteName);
+    document.querySelectorAll(`.piano-key[data-frequency="${NOTE_FREQUENCIES[noteName]}"]`).forEach(el => {
+        el.classList.toggle('latched', stillLatched);
+    });
+}
+
+// Start a drone on a key in an octave (octave shift included)
+// The center display shows it like a note from the same source (see updateHeldNotes)
+function startDrone(noteName, type, octave, source) {
+    const intervals = getDroneIntervals(type);
+    const frequency = NOTE_FREQUENCIES[noteName] * Math.pow(2, octave) * getTuningRatio();
+    const voiceGain = OSC_GAIN / Math.sqrt(intervals.length);
+    const voices = intervals.map(semitones =>
+        createSynthVoice(frequency * Math.pow(2, semitones / 12), voiceGain, droneGainNode, true)
+    );
+
+    drones.set(`${noteName}-${type}-${octave}`, { note: noteName, type, octave, voices });
+    setDroneHighlight(noteName, type, true);
+
+    lastPlayedNote = source === 'wheel' ? { note: noteName, source, type } : noteName;
+    updateCenterDisplay();
+}
+
+// Stop one drone
+function stopDrone(droneKey) {
+    const drone = drones.get(droneKey);
+    if (!drone) return;
+
+    drones.delete(droneKey);
+    drone.voices.forEach(voice => releaseSynthVoice(voice));
+    setDroneHighlight(drone.note, drone.type, false);
+}
+
+// Toggle the drone for a wheel segment (chordType) or piano/keyboard note
+// (arguments as for handleNoteStart, octaveOffset plays it in another octave on top of octaveShift)
+// Notes without a chord type drone in the key type shown on top
+function toggleDrone(frequency, source, chordType = null, octaveOffset = 0) {
+    const noteName = getNoteFromFrequency(frequency);
+    if (!noteName) return;
+
+    const type = chordType || (majorOnTop ? 'major' : 'minor');
+    const octave = octaveShift + octaveOffset;
+    const droneKey = `${noteName}-${type}-${octave}`;
+    if (chordType) {
+        selectScaleKey(noteName, type);
+    }
+    if (drones.has(droneKey)) {
+        stopDrone(droneKey);
+    } else {
+        startDrone(noteName, type, octave, source);
+    }
+}
+
+// Stop every drone
+function stopAllDrones() {
+    Array.from(drones.keys()).forEach(droneKey => stopDrone(droneKey));
+}
+
+// Panic: stop drones, held notes, MIDI notes and a playing scale
+function stopAllSound() {
+    stopAllDrones();
+    stopScale();
+    setSustainPedal(false);
+    releaseAllMidiNotes();
+    activeKeys.clear();
+    heldNotes.length = 0;
+    Object.keys(activeOscillators).forEach(frequency => stopNote(frequency));
+    updateCenterDisplay();
+}
+
+// Setup latch mode controls
+function setupDrone() {
+    const latchToggle = document.getElementById('latch-toggle');
+    const voicingSelect = document.getElementById('drone-voicing');
+    const levelSlider = document.getElementById('drone-level');
+    const panicButton = document.getElementById('panic-button');
+
+    latchMode = settings.latchMode;
+    droneVoicing = DRONE_VOICINGS[settings.droneVoicing] ? settings.droneVoicing : 'root';
+    droneLevel = settings.droneLevel;
+    droneGainNode = audioContext.createGain();
+    droneGainNode.gain.value = droneLevel;
+    droneGainNode.connect(toneGainNode);
+
+    Object.entries(DRONE_VOICINGS).forEach(([id, voicing]) => {
+        voicingSelect.appendChild(new Option(voicing.label, id));
+    });
+
+    latchToggle.checked = latchMode;
+    voicingSelect.value = droneVoicing;
+    levelSlider.value = droneLevel;
+
+    latchToggle.addEventListener('change', (e) => {
+        latchMode = e.target.checked;
+        persistSettings();
+    });
+
+    // Prevent latch toggle from stealing keyboard focus
+    latchToggle.addEventListener('click', () => {
+        latchToggle.blur();
+    });
+
+    voicingSelect.addEventListener('change', () => {
+        droneVoicing = voicingSelect.value;
+        persistSettings();
+        voicingSelect.blur();
+    });
+
+    levelSlider.addEventListener('input', (e) => {
+        droneLevel = parseFloat(e.target.value);
+        droneGainNode.gain.setValueAtTime(droneLevel, audioContext.currentTime);
+        persistSettings();
+    });
+
+    levelSlider.addEventListener('change', () => levelSlider.blur());
+
+    panicButton.addEventListener('click', () => {
+        stopAllSound();
+        panicButton.blur();
+    });
+}
@@ -0,0 +1,273 @@
+// Computer keyboard bindings
+// Binds physical keys (KeyboardEvent.code) to piano notes and app actions, so the piano layout stays in
+// place on AZERTY and QWERTZ keyboards. The layout only changes the key names shown on the piano and
+// in the options panel, and any binding can be changed there.
+
+// Default bindings (action -> KeyboardEvent.code): the home row plays the base octave in a piano layout,
+// the number row plays the octave above chromatically
+const DEFAULT_KEY_BINDINGS = {
+    'note-C-0': 'KeyA',
+    'note-C#-0': 'KeyW',
+    'note-D-0': 'KeyS',
+    'note-D#-0': 'KeyE',
+    'note-E-0': 'KeyD',
+    'note-F-0': 'KeyF',
+    'note-F#-0': 'KeyT',
+    'note-G-0': 'KeyG',
+    'note-G#-0': 'KeyY',
+    'note-A-0': 'KeyH',
+    'note-A#-0': 'KeyU',
+    'note-B-0': 'KeyJ',
+    'note-C-1': 'Digit1',
+    'note-C#-1': 'Digit2',
+    'note-D-1': 'Digit3',
+    'note-D#-1': 'Digit4',
+    'note-E-1': 'Digit5',
+    'note-F-1': 'Digit6',
+    'note-F#-1': 'Digit7',
+    'note-G-1': 'Digit8',
+    'note-G#-1': 'Digit9',
+    'note-A-1': 'Digit0',
+    'note-A#-1': 'Minus',
+    'note-B-1': 'Equal',
+    'octave-down': 'KeyZ',
+    'octave-up': 'KeyX',
+    'latch': 'KeyC',
+    'notation': 'KeyN',
+    'major-on-top': 'KeyM'
+};
+
+// Actions other than notes
+const KEY_COMMANDS = {
+    'octave-down': { label: 'Octave -', run: () => setOctaveShift(octaveShift - 1) },
+    'octave-up': { label: 'Octave +', run: () => setOctaveShift(octaveShift + 1) },
+    'latch': { label: 'Latch', run: () => toggleOptionCheckbox('latch-toggle') },
+    'notation': { label: 'Camelot / Open Key', run: () => toggleOptionCheckbox('notation-toggle') },
+    'major-on-top': { label: 'Minor / Major', run: () => toggleOptionCheckbox('major-on-top') }
+};
+
+// Keyboard layouts: the character printed on each physical key where it differs from QWERTY
+const KEY_LAYOUTS = {
+    qwerty: { label: 'QWERTY', keys: {} },
+    azerty: {
+        label: 'AZERTY',
+        keys: {
+            KeyQ: 'A', KeyA: 'Q', KeyW: 'Z', KeyZ: 'W', KeyM: ',', Semicolon: 'M',
+            Minus: ')', BracketLeft: '^', BracketRight: '$', Quote: 'Ù', Comma: ';', Period: ':', Slash: '!'
+        }
+    },
+    qwertz: {
+        label: 'QWERTZ',
+        keys: {
+            KeyY: 'Z', KeyZ: 'Y', Minus: 'ß', Equal: '´',
+            BracketLeft: 'Ü', BracketRight: '+', Semicolon: 'Ö', Quote: 'Ä', Slash: '-'
+        }
+    }
+};
+
+// Names of keys that aren't letters or digits
+const KEY_CODE_LABELS = {
+    Minus: '-',
+    Equal: '=',
+    BracketLeft: '[',
+    BracketRight: ']',
+    Semicolon: ';',
+    Quote: "'",
+    Backquote: '`',
+    Backslash: '\\',
+    IntlBackslash: '<',
+    Comma: ',',
+    Period: '.',
+    Slash: '/',
+    Space: 'Space',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→'
+};
+
+// Keys that can't be bound (Escape stops all sound, modifiers are held for browser shortcuts)
+const UNBINDABLE_KEY_CODES = ['Escape', 'Tab', 'ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight',
+    'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight', 'CapsLock'];
+
+// Key binding state
+let keyLayout = 'qwerty';
+let keyBindings = { ...DEFAULT_KEY_BINDINGS }; // action -> code, null when unbound
+let keyBindingCapture = null; // action waiting for a key press in the editor
+
+// Flip an options panel toggle as if it was clicked
+function toggleOptionCheckbox(id) {
+    const checkbox = document.getElementById(id);
+    checkbox.checked = !checkbox.checked;
+    checkbox.dispatchEvent(new Event('change'));
+}
+
+// Get the note a note action plays, or null for other actions
+function parseNoteAction(action) {
+    const match = /^note-([A-G]#?)-(\d)$/.exec(action);
+    return match ? { note: match[1], octave: parseInt(match[2], 10) } : null;
+}
+
+// Get the action bound to a physical key
+function getKeyAction(code) {
+    return Object.keys(keyBindings).find(action => keyBindings[action] === code) || null;
+}
+
+// Name of a physical key on the selected layout
+function getKeyLabel(code) {
+    const layoutLabel = KEY_LAYOUTS[keyLayout].keys[code];
+    if (layoutLabel) return layoutLabel;
+    const match = /^(?:Key|Digit)(.)$/.exec(code);
+    if (match) return match[1];
+    return KEY_CODE_LABELS[code] || code;
+}
+
+// Name of the key bound to an action, or null if it is unbound
+function getActionKeyLabel(action) {
+    return keyBindings[action] ? getKeyLabel(keyBindings[action]) : null;
+}
+
+// Merge saved bindings over the defaults, dropping unknown actions
+function loadKeyBindings(saved) {
+    const bindings = { ...DEFAULT_KEY_BINDINGS };
+    if (saved && typeof saved === 'object') {
+        Object.keys(bindings).forEach(action => {
+            const code = saved[action];
+            if (code === null || (typeof code === 'string' && !UNBINDABLE_KEY_CODES.includes(code))) {
+                bindings[action] = code;
+            }
+        });
+    }
+    return bindings;
+}
+
+// Bind a key to an action, taking it away from any other action
+function setKeyBinding(action, code) {
+    if (code) {
+        Object.keys(keyBindings).forEach(other => {
+            if (keyBindings[other] === code) {
+                keyBindings[other] = null;
+            }
+        });
+    }
+    keyBindings[action] = code;
+    applyKeyBindings();
+}
+
+// Show the changed bindings on the piano, the octave buttons and the editor, and save them
+function applyKeyBindings() {
+    activeKeys.forEach(actualFrequency => {
+        if (actualFrequency) {
+            stopNote(actualFrequency);
+        }
+    });
+    activeKeys.clear();
+    rebuildPianoKeyboard();
+    updateOctaveKeyHints();
+    renderKeyBindings();
+    persistSettings();
+}
+
+// Show the octave keys on the octave buttons
+function updateOctaveKeyHints() {
+    document.querySelector('#octave-down .octave-key-hint').textContent = getActionKeyLabel('octave-down') || '';
+    document.querySelector('#octave-up .octave-key-hint').textContent = getActionKeyLabel('octave-up') || '';
+}
+
+// List the actions with the keys bound to them
+// The buttons are rebuilt, so a focused button hands its focus to the new one for the same action.
+function renderKeyBindings() {
+    const list = document.getElementById('key-binding-list');
+    const focusedAction = list.contains(document.activeElement) ? document.activeElement.dataset.action : null;
+    list.innerHTML = '';
+
+    const addHeading = (text) => {
+        const heading = document.createElement('div');
+        heading.className = 'key-binding-heading';
+        heading.textContent = text;
+        list.appendChild(heading);
+    };
+
+    const addBinding = (action, label) => {
+        const row = document.createElement('div');
+        row.className = 'key-binding';
+
+        const name = document.createElement('span');
+        name.textContent = label;
+
+        const button = document.createElement('button');
+        button.className = 'key-binding-button';
+        button.dataset.action = action;
+        button.classList.toggle('listening', keyBindingCapture === action);
+        button.textContent = keyBindingCapture === action ? 'Press a key' : (getActionKeyLabel(action) || '–');
+        button.addEventListener('click', () => {
+            keyBindingCapture = keyBindingCapture === action ? null : action;
+            renderKeyBindings();
+        });
+
+        row.appendChild(name);
+        row.appendChild(button);
+        list.appendChild(row);
+        if (action === focusedAction) {
+            button.focus();
+        }
+    };
+
+    addHeading('Base octave');
+    NOTE_NAMES.forEach(noteName => addBinding(`note-${noteName}-0`, formatNoteName(noteName)));
+    addHeading('Octave above');
+    NOTE_NAMES.forEach(noteName => addBinding(`note-${noteName}-1`, formatNoteName(noteName)));
+    addHeading('Actions');
+    Object.entries(KEY_COMMANDS).forEach(([action, command]) => addBinding(action, command.label));
+}
+
+// Take the next key press for the action being edited
+// (Escape cancels, Backspace or Delete clears the binding)
+function handleKeyBindingCapture(e) {
+    if (!keyBindingCapture) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const action = keyBindingCapture;
+    if (e.code === 'Escape') {
+        keyBindingCapture = null;
+        renderKeyBindings();
+        return;
+    }
+    if (UNBINDABLE_KEY_CODES.includes(e.code)) return;
+
+    keyBindingCapture = null;
+    setKeyBinding(action, e.code === 'Backspace' || e.code === 'Delete' ? null : e.code);
+}
+
+// Setup key bindings and the binding editor
+function setupKeyBindings() {
+    const layoutSelect = document.getElementById('key-layout');
+    const resetButton = document.getElementById('key-bindings-reset');
+
+    keyLayout = settings.keyLayout;
+    keyBindings = loadKeyBindings(settings.keyBindings);
+
+    Object.entries(KEY_LAYOUTS).forEach(([id, layout]) => {
+        layoutSelect.appendChild(new Option(layout.label, id));
+    });
+    layoutSelect.value = keyLayout;
+    updateOctaveKeyHints();
+    renderKeyBindings();
+
+    // Runs before the piano hotkeys so the pressed key isn't played
+    window.addEventListener('keydown', handleKeyBindingCapture, true);
+
+    layoutSelect.addEventListener('change', () => {
+        keyLayout = layoutSelect.value;
+        applyKeyBindings();
+        layoutSelect.blur();
+    });
+
+    resetButton.addEventListener('click', () => {
+        keyBindingCapture = null;
+        keyBindings = { ...DEFAULT_KEY_BINDINGS };
+        applyKeyBindings();
+        resetButton.blur();
+    });
+}
@@ -0,0 +1,217 @@
+// Offline key detection for decoded audio
+// Builds a chromagram from the audio and matches it against major/minor key profiles.
+// Nothing here touches the DOM or the AudioContext, so it runs on any decoded AudioBuffer.
+
+// Pitch classes in chromatic order (chroma bin 0 is C)
+const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Krumhansl-Kessler key profiles, indexed in semitones from the tonic
+const KEY_PROFILES = {
+    major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+    minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+};
+
+// Analysis settings
+const ANALYSIS_TARGET_SAMPLE_RATE = 11025; // Audio is downsampled to roughly this rate
+const ANALYSIS_FFT_SIZE = 4096;
+const ANALYSIS_HOP_SIZE = 2048;
+const CHROMA_MIN_FREQUENCY = 65; // C2
+const CHROMA_MAX_FREQUENCY = 2100; // C7
+const CHROMA_REFERENCE_A4 = 440;
+
+// Spread of the confidence scores (lower = more weight on the best match)
+const CONFIDENCE_TEMPERATURE = 0.1;
+
+// In-place iterative radix-2 FFT (length must be a power of two)
+function fft(re, im) {
+    const n = re.length;
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const halfSize = size >> 1;
+        const angle = -2 * Math.PI / size;
+        const stepRe = Math.cos(angle);
+        const stepIm = Math.sin(angle);
+        for (let start = 0; start < n; start += size) {
+            let wRe = 1;
+            let wIm = 0;
+            for (let k = 0; k < halfSize; k++) {
+                const evenIndex = start + k;
+                const oddIndex = evenIndex + halfSize;
+                const tRe = wRe * re[oddIndex] - wIm * im[oddIndex];
+                const tIm = wRe * im[oddIndex] + wIm * re[oddIndex];
+                re[oddIndex] = re[evenIndex] - tRe;
+                im[oddIndex] = im[evenIndex] - tIm;
+                re[evenIndex] += tRe;
+                im[evenIndex] += tIm;
+                const nextWRe = wRe * stepRe - wIm * stepIm;
+                wIm = wRe * stepIm + wIm * stepRe;
+                wRe = nextWRe;
+            }
+        }
+    }
+}
+
+// Create a Hann window of the given size
+function createHannWindow(size) {
+    const hannWindow = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        hannWindow[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (size - 1)));
+    }
+    return hannWindow;
+}
+
+// Mix all channels of an AudioBuffer down to mono, averaging blocks of samples
+// to downsample by an integer factor
+function mixDownAndDownsample(audioBuffer, factor) {
+    const channelCount = audioBuffer.numberOfChannels;
+    const length = Math.floor(audioBuffer.length / factor);
+    const output = new Float32Array(length);
+
+    for (let channel = 0; channel < channelCount; channel++) {
+        const data = audioBuffer.getChannelData(channel);
+        for (let i = 0; i < length; i++) {
+            let sum = 0;
+            const offset = i * factor;
+            for (let j = 0; j < factor; j++) {
+                sum += data[offset + j];
+            }
+            output[i] += sum / (factor * channelCount);
+        }
+    }
+
+    return output;
+}
+
+// Get the pitch class (0 = C) closest to a frequency
+function getPitchClassFromFrequency(frequency, referenceA4 = CHROMA_REFERENCE_A4) {
+    const midiNote = Math.round(69 + 12 * Math.log2(frequency / referenceA4));
+    return ((midiNote % 12) + 12) % 12;
+}
+
+// Add the pitch-class energy of one magnitude spectrum to a chroma vector
+function accumulateChroma(magnitudes, sampleRate, fftSize, chroma, referenceA4 = CHROMA_REFERENCE_A4) {
+    const binWidth = sampleRate / fftSize;
+    const firstBin = Math.max(1, Math.ceil(CHROMA_MIN_FREQUENCY / binWidth));
+    const lastBin = Math.min(magnitudes.length - 1, Math.floor(CHROMA_MAX_FREQUENCY / binWidth));
+
+    for (let bin = firstBin; bin <= lastBin; bin++) {
+        chroma[getPitchClassFromFrequency(bin * binWidth, referenceA4)] += magnitudes[bin];
+    }
+    return chroma;
+}
+
+// Compute the 12-bin chroma vector of a single frame of samples
+function computeFrameChroma(samples, offset, sampleRate, hannWindow, referenceA4 = CHROMA_REFERENCE_A4) {
+    const size = hannWindow.length;
+    const re = new Float32Array(size);
+    const im = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        re[i] = (samples[offset + i] || 0) * hannWindow[i];
+    }
+
+    fft(re, im);
+
+    const magnitudes = new Float32Array(size / 2);
+    for (let bin = 0; bin < size / 2; bin++) {
+        magnitudes[bin] = Math.sqrt(re[bin] * re[bin] + im[bin] * im[bin]);
+    }
+
+    return accumulateChroma(magnitudes, sampleRate, size, new Array(12).fill(0), referenceA4);
+}
+
+// Build the chromagram of an AudioBuffer and sum it into one normalized chroma vector.
+// Each frame is normalized first so loud sections don't outweigh the rest of the track.
+// Work is split into chunks so the page stays responsive; onProgress receives 0..1.
+async function computeChromagram(audioBuffer, onProgress = null, referenceA4 = CHROMA_REFERENCE_A4) {
+    const factor = Math.max(1, Math.floor(audioBuffer.sampleRate / ANALYSIS_TARGET_SAMPLE_RATE));
+    const sampleRate = audioBuffer.sampleRate / factor;
+    const samples = mixDownAndDownsample(audioBuffer, factor);
+    const hannWindow = createHannWindow(ANALYSIS_FFT_SIZE);
+    const chroma = new Array(12).fill(0);
+
+    const frameCount = Math.max(1, Math.floor((samples.length - ANALYSIS_FFT_SIZE) / ANALYSIS_HOP_SIZE) + 1);
+    const framesPerChunk = 50;
+
+    for (let frame = 0; frame < frameCount; frame++) {
+        const frameChroma = computeFrameChroma(samples, frame * ANALYSIS_HOP_SIZE, sampleRate, hannWindow, referenceA4);
+        const frameTotal = frameChroma.reduce((sum, value) => sum + value, 0);
+        if (frameTotal > 0) {
+            frameChroma.forEach((value, pitchClass) => {
+                chroma[pitchClass] += value / frameTotal;
+            });
+        }
+
+        if (frame % framesPerChunk === framesPerChunk - 1) {
+            if (onProgress) onProgress(frame / frameCount);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    if (onProgress) onProgress(1);
+
+    const total = chroma.reduce((sum, value) => sum + value, 0);
+    return total > 0 ? chroma.map(value => value / total) : chroma;
+}
+
+// Pearson correlation of two equal-length vectors
+function correlate(a, b) {
+    const n = a.length;
+    const meanA = a.reduce((sum, value) => sum + value, 0) / n;
+    const meanB = b.reduce((sum, value) => sum + value, 0) / n;
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (a[i] - meanA) * (b[i] - meanB);
+        varianceA += (a[i] - meanA) * (a[i] - meanA);
+        varianceB += (b[i] - meanB) * (b[i] - meanB);
+    }
+    const denominator = Math.sqrt(varianceA * varianceB);
+    return denominator > 0 ? covariance / denominator : 0;
+}
+
+// Score all 24 keys against a chroma vector, best match first.
+// Returns [{ note, type, score, confidence }] where confidence values sum to 1.
+function rankKeys(chroma) {
+    const ranked = [];
+    PITCH_CLASSES.forEach((note, tonic) => {
+        ['major', 'minor'].forEach(type => {
+            const rotated = chroma.map((_, i) => chroma[(i + tonic) % 12]);
+            ranked.push({ note, type, score: correlate(rotated, KEY_PROFILES[type]) });
+        });
+    });
+
+    // Softmax over the correlations gives a relative confidence for each key
+    const weights = ranked.map(key => Math.exp(key.score / CONFIDENCE_TEMPERATURE));
+    const weightTotal = weights.reduce((sum, value) => sum + value, 0);
+    ranked.forEach((key, index) => {
+        key.confidence = weights[index] / weightTotal;
+    });
+
+    return ranked.sort((a, b) => b.score - a.score);
+}
+
+// Estimate the key of a chroma vector
+// Returns { note, type, confidence, candidates } where candidates are the runner-up keys
+function detectKey(chroma, candidateCount = 4) {
+    const [best, ...rest] = rankKeys(chroma);
+    return {
+        note: best.note,
+        type: best.type,
+        confidence: best.confidence,
+        candidates: rest.slice(0, candidateCount)
+    };
+}
@@ -0,0 +1,470 @@
+// Key theory
+// DOM-free music theory behind the wheel: note names, Camelot and Open Key notation,
+// harmonic mixing relationships, modes, chord recognition, transposition and key string parsing/formatting.
+//
+// Loads as a classic script in the browser (as window.KeyTheory) and as a CommonJS module in Node.
+// keytheory.mjs is the ES module entry for both, with the API as named exports.
+//
+//     const KeyTheory = require('./keytheory.js');    // or: import KeyTheory from './keytheory.mjs';
+//     KeyTheory.convertKeyString('Abm', 'camelot');       // '1A'
+//     KeyTheory.getCompatibleKeys({ note: 'A', type: 'minor' });
+//     KeyTheory.getCamelotDistance({ note: 'A', type: 'minor' }, { note: 'C', type: 'major' });
+//
+// Keys are { note, type }: note is a sharp name from NOTE_NAMES, type is 'major' or 'minor'.
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.KeyTheory = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // Note names in chromatic order (sharps)
+    const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+    // Sharp to flat conversion mapping
+    const sharpToFlat = {
+        'C#': 'Db',
+        'D#': 'Eb',
+        'F#': 'Gb',
+        'G#': 'Ab',
+        'A#': 'Bb'
+    };
+
+    // Camelot wheel notation (clockwise from 12 o'clock)
+    const camelotKeys = {
+        'C': { minor: '5A', major: '8B' },
+        'G': { minor: '6A', major: '9B' },
+        'D': { minor: '7A', major: '10B' },
+        'A': { minor: '8A', major: '11B' },
+        'E': { minor: '9A', major: '12B' },
+        'B': { minor: '10A', major: '1B' },
+        'F#': { minor: '11A', major: '2B' },
+        'C#': { minor: '12A', major: '3B' },
+        'G#': { minor: '1A', major: '4B' },
+        'D#': { minor: '2A', major: '5B' },
+        'A#': { minor: '3A', major: '6B' },
+        'F': { minor: '4A', major: '7B' }
+    };
+
+    // Open Key notation (d = major, m = minor)
+    // Open Key starts with C minor at 10m
+    const openKeys = {
+        'C': { minor: '10m', major: '1d' },
+        'G': { minor: '11m', major: '2d' },
+        'D': { minor: '12m', major: '3d' },
+        'A': { minor: '1m', major: '4d' },
+        'E': { minor: '2m', major: '5d' },
+        'B': { minor: '3m', major: '6d' },
+        'F#': { minor: '4m', major: '7d' },
+        'C#': { minor: '5m', major: '8d' },
+        'G#': { minor: '6m', major: '9d' },
+        'D#': { minor: '7m', major: '10d' },
+        'A#': { minor: '8m', major: '11d' },
+        'F': { minor: '9m', major: '12d' }
+    };
+
+    // Tonic spelled the way its key signature writes it (fewest accidentals, F# major and Eb minor at six)
+    const KEY_SPELLINGS = {
+        major: { 'C#': 'Db', 'D#': 'Eb', 'G#': 'Ab', 'A#': 'Bb' },
+        minor: { 'D#': 'Eb', 'A#': 'Bb' }
+    };
+
+    // Harmonic mixing moves from a key
+    // Each move lists its target keys as a root shift in semitones and the resulting key type
+    // (one Camelot step is a fifth, so +2 steps is a whole tone and +7 steps is a semitone)
+    const HARMONIC_MOVES = [
+        { id: 'adjacent', label: '±1 Adjacent', getTargets: (type) => [{ semitones: 7, type }, { semitones: -7, type }] },
+        { id: 'relative', label: 'Relative major/minor', getTargets: (type) => [{ semitones: type === 'minor' ? 3 : -3, type: type === 'minor' ? 'major' : 'minor' }] },
+        { id: 'energy', label: '+2 Energy boost', getTargets: (type) => [{ semitones: 2, type }] },
+        { id: 'semitone', label: '+7 Semitone lift', getTargets: (type) => [{ semitones: 1, type }] },
+        { id: 'diagonal', label: 'Diagonal mood change', getTargets: (type) => [type === 'minor' ? { semitones: 10, type: 'major' } : { semitones: 2, type: 'minor' }] }
+    ];
+
+    // Moves used when none are given
+    const DEFAULT_HARMONIC_MOVES = ['adjacent', 'relative'];
+
+    // Output formats for keys
+    const KEY_FORMATS = {
+        'camelot': { label: 'Camelot (8A)' },
+        'camelot-padded': { label: 'Camelot, padded (08A)' },
+        'openkey': { label: 'Open Key (1m)' },
+        'musical-sharps': { label: 'Musical, sharps (G#m)' },
+        'musical-flats': { label: 'Musical, flats (Abm)' },
+        'musical-spelled': { label: 'Musical, key signature (G#m / Db)' },
+        'long-sharps': { label: 'Long, sharps (G# minor)' },
+        'long-flats': { label: 'Long, flats (Ab minor)' },
+        'long-spelled': { label: 'Long, key signature (G# minor / Db major)' }
+    };
+
+    // Church modes, each built on a degree of a parent major scale
+    // parentOffset is how far the mode's tonic sits above its parent's tonic, scale is the mode's steps
+    // from its own tonic, and chord is a voicing that brings out the mode's characteristic note
+    const MODES = [
+        { id: 'ionian', label: 'Ionian', parentOffset: 0, scale: [0, 2, 4, 5, 7, 9, 11], chord: [0, 4, 7, 11] },
+        { id: 'dorian', label: 'Dorian', parentOffset: 2, scale: [0, 2, 3, 5, 7, 9, 10], chord: [0, 3, 7, 9] },
+        { id: 'phrygian', label: 'Phrygian', parentOffset: 4, scale: [0, 1, 3, 5, 7, 8, 10], chord: [0, 3, 7, 13] },
+        { id: 'lydian', label: 'Lydian', parentOffset: 5, scale: [0, 2, 4, 6, 7, 9, 11], chord: [0, 4, 7, 18] },
+        { id: 'mixolydian', label: 'Mixolydian', parentOffset: 7, scale: [0, 2, 4, 5, 7, 9, 10], chord: [0, 4, 7, 10] },
+        { id: 'aeolian', label: 'Aeolian', parentOffset: 9, scale: [0, 2, 3, 5, 7, 8, 10], chord: [0, 3, 7, 20] },
+        { id: 'locrian', label: 'Locrian', parentOffset: 11, scale: [0, 1, 3, 5, 6, 8, 10], chord: [0, 3, 6, 10] }
+    ];
+
+    // Scale steps of each key type (natural minor)
+    const KEY_SCALES = {
+        major: [0, 2, 4, 5, 7, 9, 11],
+        minor: [0, 2, 3, 5, 7, 8, 10]
+    };
+
+    // Scale degree names by semitones above the tonic
+    const SCALE_DEGREE_LABELS = ['1', '♭2', '2', '♭3', '3', '4', '♯4', '5', '♭6', '6', '♭7', '7'];
+
+    // Chords recognized from a set of notes, in order of preference when a set fits several
+    // (C6 and Am7 share their notes, so the bass note decides before this order does)
+    const CHORD_TYPES = [
+        { id: 'major', suffix: '', intervals: [0, 4, 7] },
+        { id: 'minor', suffix: 'm', intervals: [0, 3, 7] },
+        { id: 'diminished', suffix: 'dim', intervals: [0, 3, 6] },
+        { id: 'augmented', suffix: 'aug', intervals: [0, 4, 8] },
+        { id: 'sus4', suffix: 'sus4', intervals: [0, 5, 7] },
+        { id: 'sus2', suffix: 'sus2', intervals: [0, 2, 7] },
+        { id: 'power', suffix: '5', intervals: [0, 7] },
+        { id: 'dominant7', suffix: '7', intervals: [0, 4, 7, 10] },
+        { id: 'major7', suffix: 'maj7', intervals: [0, 4, 7, 11] },
+        { id: 'minor7', suffix: 'm7', intervals: [0, 3, 7, 10] },
+        { id: 'half-diminished7', suffix: 'm7♭5', intervals: [0, 3, 6, 10] },
+        { id: 'diminished7', suffix: 'dim7', intervals: [0, 3, 6, 9] },
+        { id: 'minor-major7', suffix: 'm(maj7)', intervals: [0, 3, 7, 11] },
+        { id: '7sus4', suffix: '7sus4', intervals: [0, 5, 7, 10] },
+        { id: 'major6', suffix: '6', intervals: [0, 4, 7, 9] },
+        { id: 'minor6', suffix: 'm6', intervals: [0, 3, 7, 9] },
+        { id: 'add9', suffix: 'add9', intervals: [0, 2, 4, 7] },
+        { id: 'minor-add9', suffix: 'm(add9)', intervals: [0, 2, 3, 7] }
+    ];
+
+    // Names of the intervals within an octave, for two notes that don't make a chord
+    const INTERVAL_NAMES = ['Unison', 'Minor 2nd', 'Major 2nd', 'Minor 3rd', 'Major 3rd', 'Perfect 4th',
+        'Tritone', 'Perfect 5th', 'Minor 6th', 'Major 6th', 'Minor 7th', 'Major 7th'];
+
+    // Words and symbols that spell a key quality
+    const MINOR_SUFFIXES = ['m', 'min', 'minor', 'moll', '-'];
+    const MAJOR_SUFFIXES = ['', 'maj', 'major', 'dur', '+'];
+
+    // Shift a note name by semitones (wraps around the octave)
+    function shiftNoteBySemitones(noteName, semitones) {
+        const currentIndex = NOTE_NAMES.indexOf(noteName);
+        const newIndex = ((currentIndex + semitones) % 12 + 12) % 12;
+        return NOTE_NAMES[newIndex];
+    }
+
+    // Semitones up from one note to another (0-11)
+    function getSemitoneDistance(fromNote, toNote) {
+        return (NOTE_NAMES.indexOf(toNote) - NOTE_NAMES.indexOf(fromNote) + 12) % 12;
+    }
+
+    // Transpose a key by semitones, keeping its type
+    function transposeKey(key, semitones) {
+        return { note: shiftNoteBySemitones(key.note, semitones), type: key.type };
+    }
+
+    // Check if a note is the major counterpart of another note (3 semitones up)
+    function isMajorCounterpart(baseNote, checkNote) {
+        return shiftNoteBySemitones(baseNote, 3) === checkNote;
+    }
+
+    // Get the relative major of a minor key, or the relative minor of a major key
+    function getRelativeKey(key) {
+        return key.type === 'minor'
+            ? { note: shiftNoteBySemitones(key.note, 3), type: 'major' }
+            : { note: shiftNoteBySemitones(key.note, -3), type: 'minor' };
+    }
+
+    // Get the keys reachable from a key with the given harmonic mixing moves
+    // Returns [{ note, type, move }]
+    function getHarmonicNeighbors(noteName, type, moveIds = DEFAULT_HARMONIC_MOVES) {
+        const neighbors = [];
+        HARMONIC_MOVES.filter(move => moveIds.includes(move.id)).forEach(move => {
+            move.getTargets(type).forEach(target => {
+                neighbors.push({ note: shiftNoteBySemitones(noteName, target.semitones), type: target.type, move: move.id });
+            });
+        });
+        return neighbors;
+    }
+
+    // List the keys compatible with a key, the key itself first (move 'same')
+    function getCompatibleKeys(key, moveIds = DEFAULT_HARMONIC_MOVES) {
+        return [{ note: key.note, type: key.type, move: 'same' }, ...getHarmonicNeighbors(key.note, key.type, moveIds)];
+    }
+
+    // Name the move that takes one key to another, or null if it isn't one of the allowed moves
+    function getTransitionMove(fromKey, toKey, moveIds = DEFAULT_HARMONIC_MOVES) {
+        const match = getCompatibleKeys(fromKey, moveIds)
+            .find(candidate => candidate.note === toKey.note && candidate.type === toKey.type);
+        return match ? match.move : null;
+    }
+
+    // Get the Camelot number of a key (1-12)
+    function getCamelotNumber(key) {
+        return parseInt(camelotKeys[key.note][key.type], 10);
+    }
+
+    // Get the signed Camelot step between two keys (-5..6, clockwise is positive)
+    function getCamelotStep(fromKey, toKey) {
+        const step = ((getCamelotNumber(toKey) - getCamelotNumber(fromKey)) % 12 + 12) % 12;
+        return step > 6 ? step - 12 : step;
+    }
+
+    // Get the Camelot distance between two keys: steps around the wheel, plus one to change ring
+    function getCamelotDistance(fromKey, toKey) {
+        return Math.abs(getCamelotStep(fromKey, toKey)) + (fromKey.type === toKey.type ? 0 : 1);
+    }
+
+    // Get a mode by id, or null
+    function getMode(modeId) {
+        return MODES.find(mode => mode.id === modeId) || null;
+    }
+
+    // Get the parent major key of a mode (D Dorian -> C major)
+    function getModeParent(noteName, modeId) {
+        const mode = getMode(modeId);
+        return mode ? { note: shiftNoteBySemitones(noteName, -mode.parentOffset), type: 'major' } : null;
+    }
+
+    // List every mode on a tonic with its parent major key
+    // Returns [{ note, mode, parent }]
+    function getModesOfNote(noteName) {
+        return MODES.map(mode => ({ note: noteName, mode: mode.id, parent: getModeParent(noteName, mode.id) }));
+    }
+
+    // Get the notes of a key's scale, tonic first
+    function getScaleNotes(key) {
+        return KEY_SCALES[key.type].map(semitones => shiftNoteBySemitones(key.note, semitones));
+    }
+
+    // Get the scale degree of each note in a key's scale ({ 'A': '1', 'C': '♭3', … })
+    function getScaleDegrees(key) {
+        const degrees = {};
+        KEY_SCALES[key.type].forEach(semitones => {
+            degrees[shiftNoteBySemitones(key.note, semitones)] = SCALE_DEGREE_LABELS[semitones];
+        });
+        return degrees;
+    }
+
+    // Name the interval up from one note to another
+    function getIntervalName(fromNote, toNote) {
+        return INTERVAL_NAMES[getSemitoneDistance(fromNote, toNote)];
+    }
+
+    // Identify the chord a set of notes forms, with bassNote (the lowest note) deciding between
+    // chords that share their notes and giving the inversion
+    // Returns { root, chord, suffix, bass, inversion } or null (inversion 0 is root position)
+    function identifyChord(noteNames, bassNote = null) {
+        const pitchClasses = Array.from(new Set(noteNames));
+        const matches = [];
+
+        pitchClasses.forEach(root => {
+            const intervals = pitchClasses.map(note => getSemitoneDistance(root, note)).sort((a, b) => a - b);
+            CHORD_TYPES.forEach((chordType, order) => {
+                if (chordType.intervals.length === intervals.length &&
+                    chordType.intervals.every((semitones, index) => semitones === intervals[index])) {
+                    matches.push({ root, chordType, order });
+                }
+            });
+        });
+        if (matches.length === 0) return null;
+
+        // A chord built on the bass note wins, otherwise the first in CHORD_TYPES order
+        matches.sort((a, b) => (a.root === bassNote ? 0 : 1) - (b.root === bassNote ? 0 : 1) || a.order - b.order);
+        const { root, chordType } = matches[0];
+        const bass = bassNote && pitchClasses.includes(bassNote) ? bassNote : root;
+
+        return {
+            root,
+            chord: chordType.id,
+            suffix: chordType.suffix,
+            bass,
+            inversion: chordType.intervals.indexOf(getSemitoneDistance(root, bass))
+        };
+    }
+
+    // Rank the keys whose scale contains every one of the notes
+    // Keys score for having the notes in their tonic triad, the bass on the tonic,
+    // and the chord (if any) built on the tonic, or failing that on the 4th or 5th
+    // Returns [{ note, type, score }], best first
+    function findKeysForNotes(noteNames, { bass = null, chordRoot = null } = {}) {
+        const pitchClasses = Array.from(new Set(noteNames));
+        const keys = [];
+
+        NOTE_NAMES.forEach(note => {
+            ['major', 'minor'].forEach(type => {
+                const key = { note, type };
+                const scale = getScaleNotes(key);
+                if (!pitchClasses.every(pitchClass => scale.includes(pitchClass))) return;
+
+                const tonicTriad = [scale[0], scale[2], scale[4]];
+                let score = pitchClasses.filter(pitchClass => tonicTriad.includes(pitchClass)).length;
+                if (bass === note) score += 2;
+                if (chordRoot === note) {
+                    score += 3;
+                } else if (chordRoot === scale[3] || chordRoot === scale[4]) {
+                    score += 2;
+                }
+                keys.push({ note, type, score });
+            });
+        });
+
+        // Equal scores keep the keys nearest the best one on the wheel together
+        keys.sort((a, b) => b.score - a.score);
+        if (keys.length > 0) {
+            const best = keys[0];
+            keys.sort((a, b) => b.score - a.score || getCamelotDistance(best, a) - getCamelotDistance(best, b));
+        }
+        return keys;
+    }
+
+    // Spell a note with sharps, or with flats if useFlats is set
+    function spellNote(noteName, useFlats = false) {
+        return useFlats && sharpToFlat[noteName] ? sharpToFlat[noteName] : noteName;
+    }
+
+    // Spell the tonic of a key the way its key signature writes it (G# minor, Db major)
+    function spellKey(key) {
+        return KEY_SPELLINGS[key.type][key.note] || key.note;
+    }
+
+    // Parse a Camelot ("8A", "08A") or Open Key ("1d", "10m") code
+    function parseKeyCode(value) {
+        const match = value.match(/^0?(\d{1,2})\s*([abdm])$/i);
+        if (!match) return null;
+
+        const code = match[2].toUpperCase();
+        const isCamelot = code === 'A' || code === 'B';
+        const keyNotation = isCamelot ? camelotKeys : openKeys;
+        const type = code === 'A' || code === 'M' ? 'minor' : 'major';
+        const notation = `${parseInt(match[1], 10)}${isCamelot ? code : code.toLowerCase()}`;
+        const note = Object.keys(keyNotation).find(name => keyNotation[name][type] === notation);
+        return note ? { note, type } : null;
+    }
+
+    // Parse a musical key name ("Am", "A min", "A minor", "a", "Abm", "G#m", "Bbmaj", "F sharp major")
+    // A bare lowercase note ("a", "eb") follows the convention that lowercase means minor.
+    function parseKeyName(value) {
+        const normalized = value
+            .replace(/♯/g, '#')
+            .replace(/♭/g, 'b')
+            .replace(/[\s-]*sharp/i, '#')
+            .replace(/[\s-]*flat/i, 'b')
+            // Enharmonic alternatives like "C#/Db minor" keep the first spelling
+            .replace(/^([A-Ga-g][#b]?)\s*\/\s*[A-Ga-g][#b]?/, '$1');
+
+        const match = normalized.match(/^([A-Ga-g])\s*([#b]?)\s*([a-z+-]*)\.?$/i);
+        if (!match) return null;
+
+        const suffix = match[3].toLowerCase();
+        let type;
+        if (MINOR_SUFFIXES.includes(suffix)) {
+            type = 'minor';
+        } else if (MAJOR_SUFFIXES.includes(suffix)) {
+            type = suffix === '' && match[1] === match[1].toLowerCase() ? 'minor' : 'major';
+        } else {
+            return null;
+        }
+
+        const semitones = match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0;
+        return { note: shiftNoteBySemitones(match[1].toUpperCase(), semitones), type };
+    }
+
+    // Parse any common key spelling into { note, type }, or null if it isn't a key
+    // Combined tags such as "8A - Am", "Am/8A" or "Am (8A)" use the first readable part.
+    function parseKeyString(text) {
+        const value = String(text).trim();
+        if (!value) return null;
+
+        const key = parseKeyCode(value) || parseKeyName(value);
+        if (key) return key;
+
+        const parts = value.split(/\s+-\s+|[\/|,()]/).map(part => part.trim()).filter(part => part.length > 0);
+        if (parts.length < 2) return null;
+        for (const part of parts) {
+            const partKey = parseKeyCode(part) || parseKeyName(part);
+            if (partKey) return partKey;
+        }
+        return null;
+    }
+
+    // Write a key in one of the KEY_FORMATS
+    function formatKey(key, format) {
+        const flatName = spellNote(key.note, true);
+        const spelledName = spellKey(key);
+        const shortSuffix = key.type === 'minor' ? 'm' : '';
+        switch (format) {
+            case 'camelot':
+                return camelotKeys[key.note][key.type];
+            case 'camelot-padded':
+                return camelotKeys[key.note][key.type].padStart(3, '0');
+            case 'openkey':
+                return openKeys[key.note][key.type];
+            case 'musical-sharps':
+                return `${key.note}${shortSuffix}`;
+            case 'musical-flats':
+                return `${flatName}${shortSuffix}`;
+            case 'musical-spelled':
+                return `${spelledName}${shortSuffix}`;
+            case 'long-sharps':
+                return `${key.note} ${key.type}`;
+            case 'long-flats':
+                return `${flatName} ${key.type}`;
+            case 'long-spelled':
+                return `${spelledName} ${key.type}`;
+            default:
+                return null;
+        }
+    }
+
+    // Convert a key string to another format, or null if it can't be read
+    function convertKeyString(text, format) {
+        const key = parseKeyString(text);
+        return key ? formatKey(key, format) : null;
+    }
+
+    return {
+        NOTE_NAMES,
+        sharpToFlat,
+        camelotKeys,
+        openKeys,
+        HARMONIC_MOVES,
+        DEFAULT_HARMONIC_MOVES,
+        KEY_FORMATS,
+        MODES,
+        KEY_SCALES,
+        CHORD_TYPES,
+        shiftNoteBySemitones,
+        getSemitoneDistance,
+        transposeKey,
+        isMajorCounterpart,
+        getRelativeKey,
+        getHarmonicNeighbors,
+        getCompatibleKeys,
+        getTransitionMove,
+        getCamelotNumber,
+        getCamelotStep,
+        getCamelotDistance,
+        getMode,
+        getModeParent,
+        getModesOfNote,
+        getScaleNotes,
+        getScaleDegrees,
+        getIntervalName,
+        identifyChord,
+        findKeysForNotes,
+        spellNote,
+        spellKey,
+        parseKeyCode,
+        parseKeyName,
+        parseKeyString,
+        formatKey,
+        convertKeyString
+    };
+});
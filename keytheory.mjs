@@ -0,0 +1,53 @@
+// Key theory as an ES module
+// The same API as keytheory.js, as named exports and a default export:
+//
+//     import { convertKeyString, getCompatibleKeys } from './keytheory.mjs';
+//     import KeyTheory from './keytheory.mjs';
+//
+// keytheory.js stays the one source. Node imports it as CommonJS, so it arrives as the default export;
+// a browser runs it as module code, where it sets self.KeyTheory instead.
+
+import * as keyTheoryScript from './keytheory.js';
+
+const KeyTheory = keyTheoryScript.default || globalThis.KeyTheory;
+
+export default KeyTheory;
+
+export const {
+    NOTE_NAMES,
+    sharpToFlat,
+    camelotKeys,
+    openKeys,
+    HARMONIC_MOVES,
+    DEFAULT_HARMONIC_MOVES,
+    KEY_FORMATS,
+    MODES,
+    KEY_SCALES,
+    CHORD_TYPES,
+    shiftNoteBySemitones,
+    getSemitoneDistance,
+    transposeKey,
+    isMajorCounterpart,
+    getRelativeKey,
+    getHarmonicNeighbors,
+    getCompatibleKeys,
+    getTransitionMove,
+    getCamelotNumber,
+    getCamelotStep,
+    getCamelotDistance,
+    getMode,
+    getModeParent,
+    getModesOfNote,
+    getScaleNotes,
+    getScaleDegrees,
+    getIntervalName,
+    identifyChord,
+    findKeysForNotes,
+    spellNote,
+    spellKey,
+    parseKeyCode,
+    parseKeyName,
+    parseKeyString,
+    formatKey,
+    convertKeyString
+} = KeyTheory;
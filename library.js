@@ -0,0 +1,68 @@
+// DJ software collection import
+// Reads Rekordbox collection.xml and Traktor collection.nml exports into a plain track list.
+
+// Traktor MUSICAL_KEY values: 0-11 are C..B major, 12-23 are C..B minor
+const TRAKTOR_KEY_NOTES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Convert a Traktor MUSICAL_KEY value to { note, type }
+function parseTraktorKeyValue(value) {
+    const index = parseInt(value, 10);
+    if (isNaN(index) || index < 0 || index > 23) return null;
+    return { note: TRAKTOR_KEY_NOTES[index % 12], type: index < 12 ? 'major' : 'minor' };
+}
+
+// Read the tracks from a Rekordbox collection.xml document
+function parseRekordboxCollection(xml) {
+    return Array.from(xml.querySelectorAll('COLLECTION > TRACK')).map(track => {
+        const rawKey = track.getAttribute('Tonality') || '';
+        return {
+            title: track.getAttribute('Name') || '',
+            artist: track.getAttribute('Artist') || '',
+            bpm: parseFloat(track.getAttribute('AverageBpm')) || null,
+            rawKey,
+            key: rawKey ? parseKeyString(rawKey) : null
+        };
+    });
+}
+
+// Read the tracks from a Traktor collection.nml document
+function parseTraktorCollection(xml) {
+    return Array.from(xml.querySelectorAll('COLLECTION > ENTRY')).map(entry => {
+        const musicalKey = entry.querySelector('MUSICAL_KEY');
+        const info = entry.querySelector('INFO');
+        const tempo = entry.querySelector('TEMPO');
+        const infoKey = info ? info.getAttribute('KEY') || '' : '';
+
+        // MUSICAL_KEY is Traktor's own analysis, INFO KEY is the (editable) key text
+        let key = musicalKey ? parseTraktorKeyValue(musicalKey.getAttribute('VALUE')) : null;
+        if (!key && infoKey) {
+            key = parseKeyString(infoKey);
+        }
+
+        return {
+            title: entry.getAttribute('TITLE') || '',
+            artist: entry.getAttribute('ARTIST') || '',
+            bpm: tempo ? parseFloat(tempo.getAttribute('BPM')) || null : null,
+            rawKey: infoKey || (musicalKey ? musicalKey.getAttribute('VALUE') : ''),
+            key
+        };
+    });
+}
+
+// Parse the text of a Rekordbox or Traktor collection export
+// Returns { format, tracks } or throws if the file is neither
+function parseCollectionFile(text) {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    if (xml.querySelector('parsererror')) {
+        throw new Error('Not a valid XML file');
+    }
+
+    const rootName = xml.documentElement.nodeName;
+    if (rootName === 'DJ_PLAYLISTS') {
+        return { format: 'rekordbox', tracks: parseRekordboxCollection(xml) };
+    }
+    if (rootName === 'NML') {
+        return { format: 'traktor', tracks: parseTraktorCollection(xml) };
+    }
+    throw new Error('Not a Rekordbox or Traktor collection');
+}
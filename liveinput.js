@@ -0,0 +1,179 @@
+// Live microphone / line-in key monitor
+// Runs a rolling chroma analysis on an input stream, highlights the dominant pitch classes
+// on the piano and shows a smoothed key estimate on the wheel and in the center display.
+
+// Analysis settings
+const LIVE_FFT_SIZE = 8192;
+const LIVE_UPDATE_INTERVAL = 100; // ms
+const LIVE_SILENCE_THRESHOLD = 0.01; // Frames quieter than this (summed chroma) are skipped
+const LIVE_DOMINANT_RATIO = 0.6; // Pitch classes within this ratio of the loudest are highlighted
+
+// Smoothing time constants for the key estimate (seconds)
+const LIVE_SMOOTHING_TIMES = { fast: 2, normal: 6, slow: 15 };
+
+// Live input state
+let liveInput = null; // { stream, source, analyser, timer, spectrum }
+let liveChroma = new Array(12).fill(0);
+let liveSmoothing = 'normal';
+let liveEstimate = null; // { note, type, confidence }
+
+// Blend one frame's chroma into the rolling chroma and re-estimate the key
+// Returns the normalized frame chroma, or null if the frame was silent
+function processLiveChroma(frameChroma) {
+    const frameTotal = frameChroma.reduce((sum, value) => sum + value, 0);
+    if (frameTotal < LIVE_SILENCE_THRESHOLD) return null;
+
+    const normalized = frameChroma.map(value => value / frameTotal);
+    const smoothing = 1 - Math.exp(-(LIVE_UPDATE_INTERVAL / 1000) / LIVE_SMOOTHING_TIMES[liveSmoothing]);
+    liveChroma = liveChroma.map((value, pitchClass) => value + smoothing * (normalized[pitchClass] - value));
+
+    const [best] = rankKeys(liveChroma);
+    liveEstimate = { note: best.note, type: best.type, confidence: best.confidence };
+    return normalized;
+}
+
+// Read the analyser's spectrum and update the display
+function updateLiveInput() {
+    if (!liveInput) return;
+
+    const { analyser, spectrum } = liveInput;
+    analyser.getFloatFrequencyData(spectrum);
+
+    // Decibels to linear magnitudes
+    const magnitudes = spectrum.map(decibels => Math.pow(10, decibels / 20));
+    const frameChroma = accumulateChroma(magnitudes, audioContext.sampleRate, analyser.fftSize, new Array(12).fill(0), referencePitch);
+
+    const previousKey = liveEstimate ? `${liveEstimate.note}-${liveEstimate.type}` : null;
+    const normalized = processLiveChroma(frameChroma);
+    renderLiveInput(normalized);
+
+    // Only redraw the wheel when the estimate changes, otherwise just refresh the confidence
+    if (liveEstimate && `${liveEstimate.note}-${liveEstimate.type}` !== previousKey) {
+        lastPlayedNote = { note: liveEstimate.note, source: 'live', type: liveEstimate.type };
+        updateCenterDisplay();
+    } else if (liveEstimate && heldNotes.length === 0 && lastPlayedNote && lastPlayedNote.source === 'live') {
+        document.getElementById('center-detail').textContent = `Live · ${Math.round(liveEstimate.confidence * 100)}%`;
+    }
+}
+
+// Show the chroma bars, dominant pitch classes and key estimate
+function renderLiveInput(frameChroma) {
+    const bars = document.querySelectorAll('.live-chroma-bar');
+    const maxValue = frameChroma ? Math.max(...frameChroma) : 0;
+
+    document.querySelectorAll('.piano-key.live-active').forEach(key => key.classList.remove('live-active'));
+    bars.forEach((bar, pitchClass) => {
+        const value = frameChroma && maxValue > 0 ? frameChroma[pitchClass] / maxValue : 0;
+        bar.style.height = `${Math.round(value * 100)}%`;
+
+        const isDominant = value >= LIVE_DOMINANT_RATIO;
+        bar.classList.toggle('dominant', isDominant);
+        if (isDominant) {
+            const noteName = shiftNoteBySemitones('C', pitchClass);
+            document.querySelectorAll(`.piano-key[data-frequency="${NOTE_FREQUENCIES[noteName]}"]`).forEach(key => {
+                key.classList.add('live-active');
+            });
+        }
+    });
+
+    const estimate = document.getElementById('live-estimate');
+    estimate.textContent = liveEstimate
+        ? `${formatKeyCode(liveEstimate.note, liveEstimate.type)} · ${Math.round(liveEstimate.confidence * 100)}%`
+        : '--';
+}
+
+// Start analysing an input stream (asks for the microphone / line-in if no stream is given)
+async function startLiveInput(stream = null) {
+    const status = document.getElementById('live-status');
+    const toggleButton = document.getElementById('live-toggle');
+
+    try {
+        const inputStream = stream || await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+        });
+        await audioContext.resume();
+
+        // The analyser is not connected to the output so the input is never played back
+        const source = audioContext.createMediaStreamSource(inputStream);
+        const analyser = audioContext.createAnalyser();
+        analyser.fftSize = LIVE_FFT_SIZE;
+        analyser.smoothingTimeConstant = 0;
+        source.connect(analyser);
+
+        liveChroma = new Array(12).fill(0);
+        liveEstimate = null;
+        liveInput = {
+            stream: inputStream,
+            source,
+            analyser,
+            spectrum: new Float32Array(analyser.frequencyBinCount),
+            timer: setInterval(updateLiveInput, LIVE_UPDATE_INTERVAL)
+        };
+
+        status.textContent = 'Listening…';
+        toggleButton.textContent = 'Stop Listening';
+    } catch (e) {
+        status.textContent = 'Could not open the audio input - check microphone permissions';
+    }
+}
+
+// Stop analysing the input stream
+function stopLiveInput() {
+    if (!liveInput) return;
+
+    clearInterval(liveInput.timer);
+    liveInput.source.disconnect();
+    liveInput.stream.getTracks().forEach(track => track.stop());
+    liveInput = null;
+
+    renderLiveInput(null);
+    document.getElementById('live-status').textContent = 'Stopped';
+    document.getElementById('live-toggle').textContent = 'Start Listening';
+}
+
+// Setup live input panel
+function setupLiveInput() {
+    const toggleButton = document.getElementById('live-toggle');
+    const smoothingSelect = document.getElementById('live-smoothing');
+    const barsContainer = document.getElementById('live-chroma');
+
+    liveSmoothing = settings.liveSmoothing;
+    smoothingSelect.value = liveSmoothing;
+
+    for (let pitchClass = 0; pitchClass < 12; pitchClass++) {
+        const column = document.createElement('div');
+        column.className = 'live-chroma-column';
+
+        const bar = document.createElement('div');
+        bar.className = 'live-chroma-bar';
+
+        const label = document.createElement('div');
+        label.className = 'live-chroma-label';
+        label.setAttribute('data-base-note', shiftNoteBySemitones('C', pitchClass));
+        label.textContent = formatNoteName(shiftNoteBySemitones('C', pitchClass));
+
+        column.appendChild(bar);
+        column.appendChild(label);
+        barsContainer.appendChild(column);
+    }
+
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        document.getElementById('live-status').textContent = 'Audio input is not supported in this browser';
+        toggleButton.disabled = true;
+    }
+
+    toggleButton.addEventListener('click', () => {
+        if (liveInput) {
+            stopLiveInput();
+        } else {
+            startLiveInput();
+        }
+        toggleButton.blur();
+    });
+
+    smoothingSelect.addEventListener('change', () => {
+        liveSmoothing = smoothingSelect.value;
+        persistSettings();
+        smoothingSelect.blur();
+    });
+}
@@ -0,0 +1,249 @@
+// Web MIDI input and output
+// MIDI note-on/off from a controller drives handleNoteStart/stopNote like the computer keyboard,
+// and notes played on the wheel or piano can be sent out to a MIDI port.
+
+// MIDI access and port selection ('all' inputs, '' = output off)
+let midiAccess = null;
+let midiInputId = 'all';
+let midiOutputId = '';
+
+// Channel filter for input (0 = all channels) and channel for output (1-16)
+let midiInputChannel = 0;
+let midiOutputChannel = 1;
+
+// Notes held on the controller and notes kept sounding by the sustain pedal
+// (MIDI note number -> { frequency, octaveOffset, actualFrequency })
+const heldMidiNotes = new Map();
+const sustainedMidiNotes = new Map();
+let sustainPedalDown = false;
+
+// MIDI status bytes
+const MIDI_NOTE_OFF = 0x80;
+const MIDI_NOTE_ON = 0x90;
+const MIDI_CONTROL_CHANGE = 0xb0;
+const MIDI_CC_SUSTAIN = 64;
+const MIDI_CC_ALL_SOUND_OFF = 120;
+const MIDI_CC_ALL_NOTES_OFF = 123;
+
+// Convert a sounding frequency to the nearest MIDI note number at the reference tuning
+function frequencyToMidiNote(frequency) {
+    return Math.round(69 + 12 * Math.log2(frequency / referencePitch));
+}
+
+// Get the base frequency and octave offset for a MIDI note (C4 = 60 is the base octave)
+function getMidiNoteTarget(midiNote) {
+    return {
+        frequency: NOTE_FREQUENCIES[shiftNoteBySemitones('C', midiNote % 12)],
+        octaveOffset: Math.floor(midiNote / 12) - 5
+    };
+}
+
+// Stop the oscillator started for a MIDI note
+function stopMidiNote(target) {
+    stopNote(target.actualFrequency);
+}
+
+// Handle a MIDI note-on
+function midiNoteOn(midiNote, velocity) {
+    const target = getMidiNoteTarget(midiNote);
+    sustainedMidiNotes.delete(midiNote);
+    target.actualFrequency = handleNoteStart(target.frequency, 'midi', null, target.octaveOffset, velocity / 127);
+    heldMidiNotes.set(midiNote, target);
+}
+
+// Handle a MIDI note-off, holding the note while the sustain pedal is down
+function midiNoteOff(midiNote) {
+    const target = heldMidiNotes.get(midiNote);
+    if (!target) return;
+    heldMidiNotes.delete(midiNote);
+
+    if (sustainPedalDown) {
+        sustainedMidiNotes.set(midiNote, target);
+    } else {
+        stopMidiNote(target);
+    }
+}
+
+// Handle the sustain pedal (CC64)
+function setSustainPedal(isDown) {
+    sustainPedalDown = isDown;
+    document.getElementById('midi-sustain').classList.toggle('active', isDown);
+    if (isDown) return;
+
+    sustainedMidiNotes.forEach((target, midiNote) => {
+        if (!heldMidiNotes.has(midiNote)) {
+            stopMidiNote(target);
+        }
+    });
+    sustainedMidiNotes.clear();
+}
+
+// Release every MIDI note, including sustained ones
+function releaseAllMidiNotes() {
+    heldMidiNotes.forEach(target => stopMidiNote(target));
+    sustainedMidiNotes.forEach(target => stopMidiNote(target));
+    heldMidiNotes.clear();
+    sustainedMidiNotes.clear();
+}
+
+// Handle an incoming MIDI message ([status, data1, data2])
+function handleMidiMessage(data) {
+    const [status, data1, data2] = data;
+    const command = status & 0xf0;
+    const channel = (status & 0x0f) + 1;
+
+    if (midiInputChannel && channel !== midiInputChannel) return;
+
+    if (command === MIDI_NOTE_ON && data2 > 0) {
+        midiNoteOn(data1, data2);
+    } else if (command === MIDI_NOTE_OFF || command === MIDI_NOTE_ON) {
+        // Note-on with velocity 0 is a note-off
+        midiNoteOff(data1);
+    } else if (command === MIDI_CONTROL_CHANGE) {
+        if (data1 === MIDI_CC_SUSTAIN) {
+            setSustainPedal(data2 >= 64);
+        } else if (data1 === MIDI_CC_ALL_NOTES_OFF || data1 === MIDI_CC_ALL_SOUND_OFF) {
+            setSustainPedal(false);
+            releaseAllMidiNotes();
+        }
+    }
+}
+
+// Get the selected MIDI output port, if any
+function getMidiOutput() {
+    if (!midiAccess || !midiOutputId) return null;
+    return midiAccess.outputs.get(midiOutputId) || null;
+}
+
+// Send note-ons for every voice of an active note or chord
+function sendMidiNotesOn(entry) {
+    const output = getMidiOutput();
+    if (!output) return;
+
+    const channel = midiOutputChannel - 1;
+    const velocity = Math.max(1, Math.round(entry.velocity * 127));
+    entry.midiOut = {
+        output,
+        channel,
+        notes: entry.voices.map(voice => frequencyToMidiNote(voice.frequency))
+    };
+    entry.midiOut.notes.forEach(midiNote => {
+        output.send([MIDI_NOTE_ON | channel, midiNote, velocity]);
+    });
+}
+
+// Send note-offs for the notes sent when an entry started
+function sendMidiNotesOff(entry) {
+    if (!entry.midiOut) return;
+
+    const { output, channel, notes } = entry.midiOut;
+    notes.forEach(midiNote => {
+        try {
+            output.send([MIDI_NOTE_OFF | channel, midiNote, 0]);
+        } catch (e) {
+            // Ignore errors if the port was disconnected
+        }
+    });
+}
+
+// Fill a port select with the available ports, keeping the selection if it still exists
+function fillMidiPortSelect(select, ports, firstOption, selectedId) {
+    select.innerHTML = '';
+    select.appendChild(new Option(firstOption.label, firstOption.value));
+    ports.forEach(port => {
+        select.appendChild(new Option(port.name || port.id, port.id));
+    });
+    select.value = Array.from(select.options).some(option => option.value === selectedId) ? selectedId : firstOption.value;
+    return select.value;
+}
+
+// Refresh port lists and listen to the selected inputs
+function refreshMidiPorts() {
+    const inputs = [];
+    const outputs = [];
+    midiAccess.inputs.forEach(input => inputs.push(input));
+    midiAccess.outputs.forEach(output => outputs.push(output));
+
+    midiInputId = fillMidiPortSelect(document.getElementById('midi-input'), inputs, { label: 'All inputs', value: 'all' }, midiInputId);
+    midiOutputId = fillMidiPortSelect(document.getElementById('midi-output'), outputs, { label: 'Off', value: '' }, midiOutputId);
+
+    inputs.forEach(input => {
+        input.onmidimessage = (e) => {
+            if (midiInputId === 'all' || midiInputId === input.id) {
+                handleMidiMessage(e.data);
+            }
+        };
+    });
+
+    document.getElementById('midi-status').textContent = inputs.length > 0
+        ? `${inputs.length} input${inputs.length === 1 ? '' : 's'}, ${outputs.length} output${outputs.length === 1 ? '' : 's'} connected`
+        : 'No MIDI devices connected';
+}
+
+// Ask for MIDI access
+async function enableMidi() {
+    const status = document.getElementById('midi-status');
+    try {
+        midiAccess = await navigator.requestMIDIAccess({ sysex: false });
+        midiAccess.onstatechange = () => refreshMidiPorts();
+        refreshMidiPorts();
+        document.getElementById('midi-enable').disabled = true;
+    } catch (e) {
+        status.textContent = 'MIDI access was denied';
+    }
+}
+
+// Setup MIDI panel
+function setupMidi() {
+    const enableButton = document.getElementById('midi-enable');
+    const inputSelect = document.getElementById('midi-input');
+    const outputSelect = document.getElementById('midi-output');
+    const inputChannelSelect = document.getElementById('midi-input-channel');
+    const outputChannelSelect = document.getElementById('midi-output-channel');
+
+    midiInputChannel = settings.midiInputChannel;
+    midiOutputChannel = settings.midiOutputChannel;
+
+    inputChannelSelect.appendChild(new Option('All channels', 0));
+    for (let channel = 1; channel <= 16; channel++) {
+        inputChannelSelect.appendChild(new Option(`Channel ${channel}`, channel));
+        outputChannelSelect.appendChild(new Option(`Channel ${channel}`, channel));
+    }
+    inputChannelSelect.value = midiInputChannel;
+    outputChannelSelect.value = midiOutputChannel;
+
+    if (!navigator.requestMIDIAccess) {
+        document.getElementById('midi-status').textContent = 'Web MIDI is not supported in this browser';
+        enableButton.disabled = true;
+        return;
+    }
+
+    enableButton.addEventListener('click', () => {
+        enableMidi();
+        enableButton.blur();
+    });
+
+    inputSelect.addEventListener('change', () => {
+        midiInputId = inputSelect.value;
+        releaseAllMidiNotes();
+        inputSelect.blur();
+    });
+
+    outputSelect.addEventListener('change', () => {
+        midiOutputId = outputSelect.value;
+        outputSelect.blur();
+    });
+
+    inputChannelSelect.addEventListener('change', () => {
+        midiInputChannel = parseInt(inputChannelSelect.value, 10);
+        releaseAllMidiNotes();
+        persistSettings();
+        inputChannelSelect.blur();
+    });
+
+    outputChannelSelect.addEventListener('change', () => {
+        midiOutputChannel = parseInt(outputChannelSelect.value, 10);
+        persistSettings();
+        outputChannelSelect.blur();
+    });
+}
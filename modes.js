@@ -0,0 +1,152 @@
+// Modes
+// Lists the church modes on a tonic with the parent major key each one belongs to, so modal tracks
+// can be placed on the wheel (D Dorian sits in the 8B family) instead of being tagged as plain minor.
+
+// Mode panel state
+let modeTonic = 'C';
+let modePlayback = 'chord'; // 'chord' or 'scale'
+
+// Name a mode on a tonic, e.g. "D Dorian"
+function formatModeName(noteName, modeId) {
+    return `${formatNoteName(noteName)} ${getMode(modeId).label}`;
+}
+
+// Start the characteristic chord of a mode at the current octave (sounds until stopNote)
+function startModeChord(noteName, modeId) {
+    const mode = getMode(modeId);
+    const frequency = NOTE_FREQUENCIES[noteName];
+    const chordTones = getChordToneNotes(noteName, mode.chord);
+    const chordToneKeys = [{ note: noteName, octave: 0 }, ...getChordToneKeys(noteName, mode.chord, 0)];
+    const { voices, actualFrequency } = createOscillator(frequency, octaveShift, mode.chord);
+
+    activeOscillators[actualFrequency] = {
+        voices,
+        baseFrequency: frequency,
+        note: noteName,
+        isPrimary: true,
+        chordType: undefined,
+        chordTones,
+        chordToneKeys,
+        source: 'mode',
+        mode: modeId,
+        octaveOffset: 0,
+        velocity: 1,
+        cents: 0
+    };
+    sendMidiNotesOn(activeOscillators[actualFrequency]);
+
+    // Modes only light up the piano, the wheel shows the parent key through the center display
+    highlightChordTones(chordToneKeys);
+    showMode(noteName, modeId, true);
+}
+
+// Stop the mode chord started from the panel
+function stopModeChord() {
+    Object.entries(activeOscillators).forEach(([actualFrequency, entry]) => {
+        if (entry.source === 'mode') {
+            stopNote(actualFrequency);
+        }
+    });
+}
+
+// Play a mode's scale up to the octave and back down
+function playModeScale(noteName, modeId) {
+    showMode(noteName, modeId, false);
+    playScale(noteName, getMode(modeId).scale);
+}
+
+// Show a mode in the center display (held while its chord sounds)
+function showMode(noteName, modeId, isHeld) {
+    const modeNote = { note: noteName, source: 'mode', mode: modeId };
+    const existingIndex = heldNotes.findIndex(note => (typeof note === 'string' ? note : note.note) === noteName);
+    if (existingIndex > -1) {
+        heldNotes.splice(existingIndex, 1);
+    }
+    if (isHeld) {
+        heldNotes.push(modeNote);
+    }
+    lastPlayedNote = modeNote;
+    updateCenterDisplay();
+}
+
+// List the modes on the selected tonic with their parent keys
+function renderModeList() {
+    const tonicSelect = document.getElementById('mode-tonic');
+    const list = document.getElementById('mode-list');
+    const keyNotation = notationType === 'camelot' ? camelotKeys : openKeys;
+
+    Array.from(tonicSelect.options).forEach(option => {
+        option.textContent = formatNoteName(option.value);
+    });
+
+    list.innerHTML = '';
+    getModesOfNote(modeTonic).forEach(({ note, mode, parent }) => {
+        const row = document.createElement('li');
+        row.className = 'library-track mode-row';
+
+        const keyBadge = document.createElement('span');
+        keyBadge.className = 'library-key';
+        keyBadge.textContent = keyNotation[parent.note].major;
+        keyBadge.style.backgroundColor = keyColors[parent.note].major;
+
+        const info = document.createElement('span');
+        info.className = 'library-track-info';
+        info.textContent = formatModeName(note, mode);
+
+        const parentName = document.createElement('span');
+        parentName.className = 'library-bpm';
+        parentName.textContent = `${formatNoteName(parent.note)} major`;
+
+        row.appendChild(keyBadge);
+        row.appendChild(info);
+        row.appendChild(parentName);
+
+        // Chords sound while the row is held, scales play through on a click
+        const start = () => {
+            if (modePlayback === 'scale') {
+                playModeScale(note, mode);
+            } else {
+                startModeChord(note, mode);
+            }
+        };
+        row.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            start();
+        });
+        row.addEventListener('mouseup', stopModeChord);
+        row.addEventListener('mouseleave', stopModeChord);
+        row.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            start();
+        });
+        row.addEventListener('touchend', stopModeChord);
+        list.appendChild(row);
+    });
+}
+
+// Setup modes panel
+function setupModes() {
+    const tonicSelect = document.getElementById('mode-tonic');
+    const playbackSelect = document.getElementById('mode-playback');
+
+    modePlayback = settings.modePlayback;
+
+    Object.keys(NOTE_FREQUENCIES).forEach(noteName => {
+        tonicSelect.appendChild(new Option(noteName, noteName));
+    });
+    tonicSelect.value = modeTonic;
+    playbackSelect.value = modePlayback;
+    renderModeList();
+
+    tonicSelect.addEventListener('change', () => {
+        modeTonic = tonicSelect.value;
+        renderModeList();
+        tonicSelect.blur();
+    });
+
+    playbackSelect.addEventListener('change', () => {
+        modePlayback = playbackSelect.value;
+        persistSettings();
+        playbackSelect.blur();
+    });
+}
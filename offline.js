@@ -0,0 +1,47 @@
+// Offline support
+// Registers the service worker (sw.js) that precaches the app for use without a network, and shows
+// a notice when a new version has been downloaded. Only served pages (http or https) can register one.
+
+// Show the update notice for a worker that is installed and waiting to take over
+function showUpdateNotice(worker) {
+    const notice = document.getElementById('update-notice');
+    const reloadButton = document.getElementById('update-reload');
+
+    notice.classList.add('visible');
+    reloadButton.onclick = () => {
+        reloadButton.disabled = true;
+        worker.postMessage({ type: 'skip-waiting' });
+    };
+}
+
+// Register the service worker and watch for updates
+function setupOfflineSupport() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+    // Reload once the new version has taken over (not on the first install)
+    const hadController = !!navigator.serviceWorker.controller;
+    let isReloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!hadController || isReloading) return;
+        isReloading = true;
+        location.reload();
+    });
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        // An update that finished installing during an earlier visit
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdateNotice(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdateNotice(worker);
+                }
+            });
+        });
+    }).catch(() => {
+        // The app still works online without the worker
+    });
+}
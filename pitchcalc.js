@@ -0,0 +1,246 @@
+// Pitch-fader key calculator
+// On a deck without key lock, moving the pitch fader changes tempo and key together.
+// Works out the key a track ends up in, and the pitch settings that make it compatible with another track.
+
+// Pitch fader ranges of common decks (±%)
+const PITCH_RANGES = [6, 8, 10, 16, 50];
+
+// Pitch calculator state
+let pitchRange = 8;
+let pitchReferenceFrequency = null; // Octave-shifted frequency of the reference while it is held
+
+// Semitones of pitch change for a pitch fader setting
+function getPitchSemitones(pitchPercent) {
+    return 12 * Math.log2(1 + pitchPercent / 100);
+}
+
+// Pitch fader setting for a pitch change in semitones
+function getPitchPercentForSemitones(semitones) {
+    return (Math.pow(2, semitones / 12) - 1) * 100;
+}
+
+// Pitch fader setting that plays a track at a target tempo
+function getPitchPercentForBpm(bpm, targetBpm) {
+    return (targetBpm / bpm - 1) * 100;
+}
+
+// Key a track plays in at a pitch setting: the nearest key, and how far off it in cents
+// Returns { key, semitones, cents }
+function getPitchedKey(key, pitchPercent) {
+    const semitones = getPitchSemitones(pitchPercent);
+    const nearest = Math.round(semitones);
+    return {
+        key: transposeKey(key, nearest),
+        semitones,
+        cents: Math.round((semitones - nearest) * 100)
+    };
+}
+
+// Pitch settings within ±range % that put a track in a key compatible with another track
+// Returns [{ key, move, semitones, pitchPercent }], smallest fader move first
+function findCompatiblePitches(key, targetKey, moveIds, range) {
+    const options = [];
+
+    // The pitch fader keeps the key type, so only targets of the same type can be reached
+    getCompatibleKeys(targetKey, moveIds).filter(target => target.type === key.type).forEach(target => {
+        const distance = getSemitoneDistance(key.note, target.note);
+        [distance - 12, distance].forEach(semitones => {
+            const pitchPercent = getPitchPercentForSemitones(semitones);
+            if (Math.abs(pitchPercent) <= range) {
+                options.push({ key: { note: target.note, type: target.type }, move: target.move, semitones, pitchPercent });
+            }
+        });
+    });
+
+    return options.sort((a, b) => Math.abs(a.pitchPercent) - Math.abs(b.pitchPercent));
+}
+
+// Format a signed number ("+1.50", "-0.25")
+function formatSigned(value, digits) {
+    return `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+}
+
+// Read the track key and pitch setting from the panel, or null if incomplete
+function getPitchCalculatorInput() {
+    const key = parseKeyString(document.getElementById('pitch-key').value);
+    const pitchPercent = parseFloat(document.getElementById('pitch-percent').value);
+    if (!key || !isFinite(pitchPercent) || pitchPercent <= -100) return null;
+    return { key, pitchPercent };
+}
+
+// Draw an arrow on the wheel from the original key to the pitched key
+function drawPitchArrow(fromKey, toKey) {
+    const arrowLayer = document.getElementById('wheel-pitch-arrow');
+    arrowLayer.innerHTML = '';
+    if (!fromKey || !toKey || (fromKey.note === toKey.note && fromKey.type === toKey.type)) return;
+
+    const from = getSegmentCenter(`${fromKey.note}-${fromKey.type}`);
+    const to = getSegmentCenter(`${toKey.note}-${toKey.type}`);
+
+    // Curve towards the wheel center like the set planner arrows
+    const control = {
+        x: centerX + ((from.x + to.x) / 2 - centerX) * 0.6,
+        y: centerY + ((from.y + to.y) / 2 - centerY) * 0.6
+    };
+
+    const arrow = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    arrow.setAttribute('d', `M ${from.x} ${from.y} Q ${control.x} ${control.y} ${to.x} ${to.y}`);
+    arrow.setAttribute('class', 'set-path-arrow pitch-arrow');
+    arrow.setAttribute('marker-end', 'url(#set-path-arrowhead)');
+    arrowLayer.appendChild(arrow);
+}
+
+// Show the pitched key, the compatible pitch settings and the wheel arrow
+function renderPitchCalculator() {
+    const result = document.getElementById('pitch-result');
+    const matches = document.getElementById('pitch-matches');
+    result.innerHTML = '';
+    matches.innerHTML = '';
+
+    const input = getPitchCalculatorInput();
+    if (!input) {
+        drawPitchArrow(null, null);
+        return;
+    }
+
+    const pitched = getPitchedKey(input.key, input.pitchPercent);
+    const rows = [
+        ['Plays in', formatKeyCode(pitched.key.note, pitched.key.type)],
+        ['Shift', `${formatSigned(pitched.semitones, 2)} st`],
+        ['Off key', `${formatSigned(pitched.cents, 0)} ct`]
+    ];
+    rows.forEach(([label, value]) => {
+        const row = document.createElement('div');
+        row.className = 'detection-candidate';
+        row.innerHTML = `<span>${label}</span><span class="converter-value">${value}</span>`;
+        result.appendChild(row);
+    });
+    drawPitchArrow(input.key, pitched.key);
+
+    // Pitch settings that bring this track into a key compatible with the other track
+    const matchKey = parseKeyString(document.getElementById('pitch-match-key').value);
+    if (!matchKey) return;
+
+    const options = findCompatiblePitches(input.key, matchKey, harmonicMoves, pitchRange);
+    if (options.length === 0) {
+        const row = document.createElement('li');
+        row.className = 'library-more';
+        row.textContent = `No compatible key within ±${pitchRange}%`;
+        matches.appendChild(row);
+        return;
+    }
+
+    options.forEach(option => {
+        const row = document.createElement('li');
+        row.className = 'library-track pitch-match';
+
+        const keyBadge = document.createElement('span');
+        keyBadge.className = 'library-key';
+        keyBadge.textContent = (notationType === 'camelot' ? camelotKeys : openKeys)[option.key.note][option.key.type];
+        keyBadge.style.backgroundColor = keyColors[option.key.note][option.key.type];
+
+        const info = document.createElement('span');
+        info.className = 'library-track-info';
+        info.textContent = `${formatSigned(option.pitchPercent, 2)}% · ${TRANSITION_LABELS[option.move] || option.move}`;
+
+        row.appendChild(keyBadge);
+        row.appendChild(info);
+
+        // Picking an option sets the pitch fader to it
+        row.addEventListener('click', () => {
+            document.getElementById('pitch-percent').value = option.pitchPercent.toFixed(2);
+            updatePitchTargetBpm();
+            renderPitchCalculator();
+        });
+        matches.appendChild(row);
+    });
+}
+
+// Keep the target BPM in step with the pitch %
+function updatePitchTargetBpm() {
+    const bpm = parseFloat(document.getElementById('pitch-bpm').value);
+    const pitchPercent = parseFloat(document.getElementById('pitch-percent').value);
+    document.getElementById('pitch-target-bpm').value = bpm > 0 && isFinite(pitchPercent)
+        ? (bpm * (1 + pitchPercent / 100)).toFixed(2)
+        : '';
+}
+
+// Start the detuned reference: the pitched key's chord, off by the same cents as the track
+function startPitchReference() {
+    stopPitchReference();
+    const input = getPitchCalculatorInput();
+    if (!input) return;
+
+    const pitched = getPitchedKey(input.key, input.pitchPercent);
+    pitchReferenceFrequency = handleNoteStart(NOTE_FREQUENCIES[pitched.key.note], 'wheel', pitched.key.type, 0, 1, pitched.cents);
+}
+
+// Stop the reference
+function stopPitchReference() {
+    if (!pitchReferenceFrequency) return;
+    stopNote(pitchReferenceFrequency);
+    pitchReferenceFrequency = null;
+}
+
+// Move a held reference to the current octave shift (its frequency was taken when it started)
+function restartPitchReference() {
+    if (pitchReferenceFrequency) {
+        startPitchReference();
+    }
+}
+
+// Setup pitch calculator panel
+function setupPitchCalculator() {
+    const keyInput = document.getElementById('pitch-key');
+    const bpmInput = document.getElementById('pitch-bpm');
+    const percentInput = document.getElementById('pitch-percent');
+    const targetBpmInput = document.getElementById('pitch-target-bpm');
+    const rangeSelect = document.getElementById('pitch-range');
+    const matchKeyInput = document.getElementById('pitch-match-key');
+    const playButton = document.getElementById('pitch-play');
+
+    PITCH_RANGES.forEach(range => {
+        rangeSelect.appendChild(new Option(`±${range}%`, range));
+    });
+    rangeSelect.value = pitchRange;
+
+    keyInput.addEventListener('input', renderPitchCalculator);
+    matchKeyInput.addEventListener('input', renderPitchCalculator);
+
+    bpmInput.addEventListener('input', () => {
+        updatePitchTargetBpm();
+        renderPitchCalculator();
+    });
+
+    percentInput.addEventListener('input', () => {
+        updatePitchTargetBpm();
+        renderPitchCalculator();
+    });
+
+    // Entering a target BPM works out the pitch % instead
+    targetBpmInput.addEventListener('input', () => {
+        const bpm = parseFloat(bpmInput.value);
+        const targetBpm = parseFloat(targetBpmInput.value);
+        if (bpm > 0 && targetBpm > 0) {
+            percentInput.value = getPitchPercentForBpm(bpm, targetBpm).toFixed(2);
+            renderPitchCalculator();
+        }
+    });
+
+    rangeSelect.addEventListener('change', () => {
+        pitchRange = parseInt(rangeSelect.value, 10);
+        renderPitchCalculator();
+        rangeSelect.blur();
+    });
+
+    // The reference sounds while the button is held, like a wheel segment
+    playButton.addEventListener('mousedown', startPitchReference);
+    playButton.addEventListener('mouseup', stopPitchReference);
+    playButton.addEventListener('mouseleave', stopPitchReference);
+    playButton.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        startPitchReference();
+    });
+    playButton.addEventListener('touchend', stopPitchReference);
+    playButton.addEventListener('click', () => playButton.blur());
+}
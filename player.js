@@ -0,0 +1,289 @@
+// Track player
+// Plays the loaded audio file through the same compressor/master chain as the reference tones,
+// with a waveform, a scrubbable playhead and an A/B loop so candidate keys can be tested over a phrase.
+
+// Loops shorter than this (seconds) are ignored
+const PLAYER_MIN_LOOP = 0.05;
+
+// Player state
+let playerBuffer = null;
+let playerPeaks = null; // [{ min, max }] per waveform column
+let playerSource = null;
+let playerGainNode = null; // Track fader (created in setupPlayer)
+let playerOffset = 0; // Position in seconds when playback was last started or paused
+let playerStartedAt = 0; // audioContext time when playback was last started
+let playerLoop = null; // { start, end } in seconds
+let playerAnimationFrame = null;
+let trackLevel = 0.8;
+let toneLevel = 1;
+
+// Format seconds as m:ss.s
+function formatPlayerTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+}
+
+// Min/max sample per waveform column, mixed down to mono
+function computeWaveformPeaks(buffer, columns) {
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, channel) => buffer.getChannelData(channel));
+    const samplesPerColumn = Math.max(1, Math.floor(buffer.length / columns));
+    const peaks = [];
+
+    for (let column = 0; column < columns; column++) {
+        let min = 0;
+        let max = 0;
+        const start = column * samplesPerColumn;
+        const end = Math.min(buffer.length, start + samplesPerColumn);
+        for (let i = start; i < end; i++) {
+            let sample = 0;
+            channels.forEach(data => {
+                sample += data[i];
+            });
+            sample /= channels.length;
+            if (sample < min) min = sample;
+            if (sample > max) max = sample;
+        }
+        peaks.push({ min, max });
+    }
+    return peaks;
+}
+
+// Wrap a position into the loop region once playback has passed its end
+function wrapPlayerPosition(position) {
+    if (!playerLoop || position < playerLoop.end) return position;
+    const loopLength = playerLoop.end - playerLoop.start;
+    return playerLoop.start + (position - playerLoop.start) % loopLength;
+}
+
+// Current playback position in seconds
+function getPlayerPosition() {
+    if (!playerSource) return playerOffset;
+    return wrapPlayerPosition(playerOffset + audioContext.currentTime - playerStartedAt);
+}
+
+// Draw the waveform, loop region and playhead
+function drawWaveform() {
+    const canvas = document.getElementById('player-waveform');
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    context.clearRect(0, 0, width, height);
+    if (!playerBuffer || !playerPeaks) return;
+
+    const toX = (seconds) => seconds / playerBuffer.duration * width;
+
+    if (playerLoop) {
+        context.fillStyle = 'rgba(52, 152, 219, 0.3)';
+        context.fillRect(toX(playerLoop.start), 0, toX(playerLoop.end) - toX(playerLoop.start), height);
+    }
+
+    context.fillStyle = '#bdc3c7';
+    playerPeaks.forEach(({ min, max }, column) => {
+        const top = (1 - max) * height / 2;
+        const bottom = (1 - min) * height / 2;
+        context.fillRect(column, top, 1, Math.max(1, bottom - top));
+    });
+
+    context.fillStyle = '#e74c3c';
+    context.fillRect(Math.round(toX(getPlayerPosition())), 0, 2, height);
+}
+
+// Refresh the waveform and time display
+function renderPlayer() {
+    drawWaveform();
+
+    const duration = playerBuffer ? playerBuffer.duration : 0;
+    document.getElementById('player-time').textContent = `${formatPlayerTime(getPlayerPosition())} / ${formatPlayerTime(duration)}`;
+    document.getElementById('player-loop-info').textContent = playerLoop
+        ? `Loop ${formatPlayerTime(playerLoop.start)} – ${formatPlayerTime(playerLoop.end)}`
+        : 'No loop';
+    document.getElementById('player-play').textContent = playerSource ? 'Pause' : 'Play';
+}
+
+// Redraw while playing
+function animatePlayer() {
+    renderPlayer();
+    playerAnimationFrame = playerSource ? requestAnimationFrame(animatePlayer) : null;
+}
+
+// Start playback from the current offset
+function startPlayer() {
+    if (!playerBuffer || playerSource) return;
+    audioContext.resume();
+
+    // Inside a loop, playback starts within it
+    if (playerLoop && (playerOffset < playerLoop.start || playerOffset >= playerLoop.end)) {
+        playerOffset = playerLoop.start;
+    }
+    if (playerOffset >= playerBuffer.duration) {
+        playerOffset = 0;
+    }
+
+    const source = audioContext.createBufferSource();
+    source.buffer = playerBuffer;
+    source.connect(playerGainNode);
+    if (playerLoop) {
+        source.loop = true;
+        source.loopStart = playerLoop.start;
+        source.loopEnd = playerLoop.end;
+    }
+
+    // Reaching the end of the track stops the player
+    source.onended = () => {
+        if (playerSource !== source) return;
+        playerSource = null;
+        playerOffset = 0;
+        renderPlayer();
+    };
+
+    source.start(0, playerOffset);
+    playerSource = source;
+    playerStartedAt = audioContext.currentTime;
+
+    if (!playerAnimationFrame) {
+        animatePlayer();
+    }
+}
+
+// Pause playback, keeping the position
+function pausePlayer() {
+    if (!playerSource) return;
+
+    playerOffset = getPlayerPosition();
+    const source = playerSource;
+    playerSource = null;
+    try {
+        source.stop();
+        source.disconnect();
+    } catch (e) {
+        // Ignore errors if already stopped
+    }
+    renderPlayer();
+}
+
+// Jump to a position, carrying on playing if the player was playing
+function seekPlayer(seconds) {
+    if (!playerBuffer) return;
+
+    const wasPlaying = !!playerSource;
+    pausePlayer();
+    playerOffset = Math.min(Math.max(0, seconds), playerBuffer.duration);
+    if (wasPlaying) {
+        startPlayer();
+    } else {
+        renderPlayer();
+    }
+}
+
+// Set or clear the loop region (restarting the source so the loop applies right away)
+function setPlayerLoop(start, end) {
+    const position = getPlayerPosition();
+    playerLoop = start !== null && end - start >= PLAYER_MIN_LOOP ? { start, end } : null;
+    seekPlayer(playerLoop && (position < playerLoop.start || position >= playerLoop.end) ? playerLoop.start : position);
+}
+
+// Load a decoded track into the player
+function loadPlayerTrack(buffer) {
+    pausePlayer();
+    playerBuffer = buffer;
+    playerOffset = 0;
+    playerLoop = null;
+    playerPeaks = computeWaveformPeaks(buffer, document.getElementById('player-waveform').width);
+
+    ['player-play', 'player-set-a', 'player-set-b', 'player-clear-loop'].forEach(id => {
+        document.getElementById(id).disabled = false;
+    });
+    renderPlayer();
+}
+
+// Setup track player panel
+function setupPlayer() {
+    const canvas = document.getElementById('player-waveform');
+    const playButton = document.getElementById('player-play');
+    const setAButton = document.getElementById('player-set-a');
+    const setBButton = document.getElementById('player-set-b');
+    const clearLoopButton = document.getElementById('player-clear-loop');
+    const trackSlider = document.getElementById('player-track-level');
+    const toneSlider = document.getElementById('player-tone-level');
+
+    trackLevel = settings.trackLevel;
+    toneLevel = settings.toneLevel;
+
+    // The track joins the reference tones at the compressor
+    playerGainNode = audioContext.createGain();
+    playerGainNode.gain.value = trackLevel;
+    playerGainNode.connect(compressor);
+    toneGainNode.gain.value = toneLevel;
+
+    trackSlider.value = trackLevel;
+    toneSlider.value = toneLevel;
+    renderPlayer();
+
+    playButton.addEventListener('click', () => {
+        if (playerSource) {
+            pausePlayer();
+        } else {
+            startPlayer();
+        }
+        playButton.blur();
+    });
+
+    // A/B set the loop ends at the playhead
+    setAButton.addEventListener('click', () => {
+        const position = getPlayerPosition();
+        const end = playerLoop && playerLoop.end > position ? playerLoop.end : playerBuffer.duration;
+        setPlayerLoop(position, end);
+        setAButton.blur();
+    });
+
+    setBButton.addEventListener('click', () => {
+        const position = getPlayerPosition();
+        const start = playerLoop && playerLoop.start < position ? playerLoop.start : 0;
+        setPlayerLoop(start, position);
+        setBButton.blur();
+    });
+
+    clearLoopButton.addEventListener('click', () => {
+        setPlayerLoop(null, null);
+        clearLoopButton.blur();
+    });
+
+    // Click the waveform to scrub, drag across it to select a loop
+    let dragStart = null;
+    const getCanvasTime = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        const fraction = Math.min(Math.max(0, (e.clientX - rect.left) / rect.width), 1);
+        return fraction * playerBuffer.duration;
+    };
+
+    canvas.addEventListener('mousedown', (e) => {
+        if (!playerBuffer) return;
+        e.preventDefault();
+        dragStart = { x: e.clientX, time: getCanvasTime(e) };
+    });
+
+    document.addEventListener('mouseup', (e) => {
+        if (!dragStart) return;
+        const time = getCanvasTime(e);
+        if (Math.abs(e.clientX - dragStart.x) > 4) {
+            setPlayerLoop(Math.min(dragStart.time, time), Math.max(dragStart.time, time));
+        } else {
+            seekPlayer(time);
+        }
+        dragStart = null;
+    });
+
+    trackSlider.addEventListener('input', (e) => {
+        trackLevel = parseFloat(e.target.value);
+        playerGainNode.gain.setValueAtTime(trackLevel, audioContext.currentTime);
+        persistSettings();
+    });
+
+    toneSlider.addEventListener('input', (e) => {
+        toneLevel = parseFloat(e.target.value);
+        toneGainNode.gain.setValueAtTime(toneLevel, audioContext.currentTime);
+        persistSettings();
+    });
+
+    trackSlider.addEventListener('change', () => trackSlider.blur());
+    toneSlider.addEventListener('change', () => toneSlider.blur());
+}
@@ -0,0 +1,100 @@
+// Scale overlay
+// Marks the piano keys in the scale of the key last selected on the wheel with their scale degrees
+// and dims the rest, so a melody can be checked against a candidate key by eye. Also plays scales.
+
+// Time per note when a scale is played (ms)
+const SCALE_STEP = 250;
+
+// Scale overlay state
+let showScaleDegrees = true;
+let scaleKey = null; // { note, type } last selected on the wheel
+let scaleTimers = [];
+let scaleVoices = []; // Voices of the scale notes sounding now
+
+// Use a wheel key for the overlay
+function selectScaleKey(noteName, type) {
+    scaleKey = { note: noteName, type };
+    updateScaleOverlay();
+}
+
+// Label the piano keys with their degree in the selected key and dim the notes outside it
+function updateScaleOverlay() {
+    const degrees = showScaleDegrees && scaleKey ? getScaleDegrees(scaleKey) : null;
+
+    document.querySelectorAll('.piano-key').forEach(keyElement => {
+        const noteName = getNoteFromFrequency(parseFloat(keyElement.dataset.frequency));
+        const degree = degrees ? degrees[noteName] : null;
+        keyElement.classList.toggle('in-scale', !!degree);
+        keyElement.classList.toggle('scale-tonic', degree === '1');
+        keyElement.classList.toggle('out-of-scale', !!degrees && !degree);
+        keyElement.querySelector('.piano-key-degree').textContent = degree || '';
+    });
+
+    const playButton = document.getElementById('scale-play');
+    playButton.disabled = !scaleKey;
+    playButton.textContent = scaleKey ? `Play ${formatKeyCode(scaleKey.note, scaleKey.type)} Scale` : 'Play Scale';
+}
+
+// Stop a scale that is still playing
+function stopScale() {
+    scaleTimers.forEach(timer => clearTimeout(timer));
+    scaleTimers = [];
+    // Clearing the timers also cancels the release of the note sounding now, so release it here
+    scaleVoices.forEach(voice => releaseSynthVoice(voice));
+    scaleVoices = [];
+    document.querySelectorAll('.piano-key.scale-step').forEach(el => {
+        el.classList.remove('scale-step');
+    });
+}
+
+// Play scale steps (semitones above the tonic) up to the octave and back down from the current octave
+function playScale(noteName, intervals) {
+    stopScale();
+
+    const steps = [...intervals, 12, ...intervals.slice().reverse()];
+    const rootFrequency = NOTE_FREQUENCIES[noteName] * Math.pow(2, octaveShift) * getTuningRatio();
+
+    steps.forEach((semitones, index) => {
+        scaleTimers.push(setTimeout(() => {
+            const stepNote = shiftNoteBySemitones(noteName, semitones);
+            const voice = createSynthVoice(rootFrequency * Math.pow(2, semitones / 12), OSC_GAIN, toneGainNode);
+            scaleVoices.push(voice);
+            const keys = document.querySelectorAll(`.piano-key[data-frequency="${NOTE_FREQUENCIES[stepNote]}"]`);
+            keys.forEach(el => el.classList.add('scale-step'));
+
+            scaleTimers.push(setTimeout(() => {
+                releaseSynthVoice(voice);
+                scaleVoices = scaleVoices.filter(other => other !== voice);
+                keys.forEach(el => el.classList.remove('scale-step'));
+            }, SCALE_STEP * 0.9));
+        }, index * SCALE_STEP));
+    });
+}
+
+// Setup the scale degree toggle and play scale button
+function setupScaleOverlay() {
+    const degreesToggle = document.getElementById('scale-degrees-toggle');
+    const playButton = document.getElementById('scale-play');
+
+    showScaleDegrees = settings.showScaleDegrees;
+    degreesToggle.checked = showScaleDegrees;
+    updateScaleOverlay();
+
+    degreesToggle.addEventListener('change', (e) => {
+        showScaleDegrees = e.target.checked;
+        updateScaleOverlay();
+        persistSettings();
+    });
+
+    // Prevent scale degree toggle from stealing keyboard focus
+    degreesToggle.addEventListener('click', () => {
+        degreesToggle.blur();
+    });
+
+    playButton.addEventListener('click', () => {
+        if (scaleKey) {
+            playScale(scaleKey.note, KEY_SCALES[scaleKey.type]);
+        }
+        playButton.blur();
+    });
+}
@@ -1,28 +1,41 @@
+// Key theory shared with scripts outside the app (keytheory.js)
+const {
+    NOTE_NAMES,
+    camelotKeys,
+    openKeys,
+    sharpToFlat,
+    HARMONIC_MOVES,
+    KEY_FORMATS,
+    shiftNoteBySemitones,
+    getHarmonicNeighbors,
+    getTransitionMove,
+    getCamelotStep,
+    getSemitoneDistance,
+    getCompatibleKeys,
+    transposeKey,
+    getMode,
+    getModeParent,
+    getModesOfNote,
+    KEY_SCALES,
+    getScaleDegrees,
+    getIntervalName,
+    identifyChord,
+    findKeysForNotes,
+    spellNote,
+    parseKeyString,
+    formatKey,
+    convertKeyString
+} = KeyTheory;
+
 // Audio context for generating tones
 const audioContext = new (window.AudioContext || window.webkitAudioContext)();
 
 // Oscillator gain (per note)
 const OSC_GAIN = 0.15;
 
-// Options state with localStorage persistence
-function loadSettings() {
-    // Use initial settings if available (loaded in HTML head)
-    if (window.initialSettings) {
-        return window.initialSettings;
-    }
-    const saved = localStorage.getItem('djKeyToolSettings');
-    if (saved) {
-        try {
-            return JSON.parse(saved);
-        } catch (e) {
-            return { majorOnTop: false, volume: 0.7, notationType: 'camelot', useFlats: false };
-        }
-    }
-    return { majorOnTop: false, volume: 0.7, notationType: 'camelot', useFlats: false };
-}
-
-function saveSettings(settings) {
-    localStorage.setItem('djKeyToolSettings', JSON.stringify(settings));
+// Save the current options state to the active settings profile (settings.js)
+function persistSettings() {
+    saveSettings({ majorOnTop, volume: MASTER_GAIN, notationType, useFlats, chordVoicing, chordInversion, harmonicMoves, tagKeyFormat, midiInputChannel, midiOutputChannel, liveSmoothing, referencePitch, latchMode, droneVoicing, droneLevel, trackLevel, toneLevel, synthVoice, synthAttack, synthDecay, synthSustain, synthRelease, synthDetune, synthUnison, modePlayback, showScaleDegrees, pianoOctaves, pianoStartNote, keyLayout, keyBindings });
 }
 
 const settings = loadSettings();
@@ -46,6 +59,11 @@ compressor.release.value = 0.25; // Moderate release (seconds)
 compressor.connect(masterGainNode);
 masterGainNode.connect(audioContext.destination);
 
+// Reference tones and drones share a tone fader before the compressor,
+// so they can be balanced against the track player
+const toneGainNode = audioContext.createGain();
+toneGainNode.connect(compressor);
+
 // Master note frequency mapping
 const NOTE_FREQUENCIES = {
     'C': 261.63,
@@ -62,41 +80,25 @@ const NOTE_FREQUENCIES = {
     'B': 493.88
 };
 
-// Circle of Fifths order for the wheel (rotated 90 degrees counterclockwise so A is at top)
-const circleOfFifthsOrder = ['A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#', 'F', 'C', 'G', 'D'];
+// Reference tuning: NOTE_FREQUENCIES (A4 = 440 Hz) identify notes everywhere in the app,
+// the pitch that actually sounds is scaled to the reference A4
+const STANDARD_REFERENCE_PITCH = 440;
+const REFERENCE_PITCH_MIN = 415;
+const REFERENCE_PITCH_MAX = 466;
+let referencePitch = settings.referencePitch;
 
-// Camelot wheel notation (clockwise from 12 o'clock)
-const camelotKeys = {
-    'C': { minor: '5A', major: '8B' },
-    'G': { minor: '6A', major: '9B' },
-    'D': { minor: '7A', major: '10B' },
-    'A': { minor: '8A', major: '11B' },
-    'E': { minor: '9A', major: '12B' },
-    'B': { minor: '10A', major: '1B' },
-    'F#': { minor: '11A', major: '2B' },
-    'C#': { minor: '12A', major: '3B' },
-    'G#': { minor: '1A', major: '4B' },
-    'D#': { minor: '2A', major: '5B' },
-    'A#': { minor: '3A', major: '6B' },
-    'F': { minor: '4A', major: '7B' }
-};
+// Get the ratio between the sounding pitch and the A4 = 440 Hz note table
+function getTuningRatio() {
+    return referencePitch / STANDARD_REFERENCE_PITCH;
+}
 
-// Open Key notation (d = major, m = minor)
-// Open Key starts with C minor at 10m
-const openKeys = {
-    'C': { minor: '10m', major: '1d' },
-    'G': { minor: '11m', major: '2d' },
-    'D': { minor: '12m', major: '3d' },
-    'A': { minor: '1m', major: '4d' },
-    'E': { minor: '2m', major: '5d' },
-    'B': { minor: '3m', major: '6d' },
-    'F#': { minor: '4m', major: '7d' },
-    'C#': { minor: '5m', major: '8d' },
-    'G#': { minor: '6m', major: '9d' },
-    'D#': { minor: '7m', major: '10d' },
-    'A#': { minor: '8m', major: '11d' },
-    'F': { minor: '9m', major: '12d' }
-};
+// Get the reference pitch as a cents offset from A4 = 440 Hz
+function getReferenceCents() {
+    return 1200 * Math.log2(referencePitch / STANDARD_REFERENCE_PITCH);
+}
+
+// Circle of Fifths order for the wheel (rotated 90 degrees counterclockwise so A is at top)
+const circleOfFifthsOrder = ['A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#', 'F', 'C', 'G', 'D'];
 
 // Camelot wheel color scheme
 const keyColors = {
@@ -124,12 +126,16 @@ const notes = circleOfFifthsOrder.map(name => ({
 // Track active oscillators
 const activeOscillators = {};
 
-// Track mouse state for drag functionality
-let isMouseDown = false;
-let currentPlayingFrequency = null;
+// Track pointers (mouse, fingers, pens) holding wheel segments or piano keys, so each finger
+// holds its own note and dragging glides from one segment or key to the next
+// (pointerId -> { element, actualFrequency })
+const activePointers = new Map();
+
+// What each wheel segment and piano key plays (element -> { frequency, source, chordType, octaveOffset })
+const playableElements = new WeakMap();
 
-// Track keyboard state
-const activeKeys = new Set();
+// Track keyboard state (physical key code -> octave-shifted frequency it started, null for latched drones)
+const activeKeys = new Map();
 
 // Track currently held notes (in order they were pressed)
 const heldNotes = [];
@@ -137,43 +143,74 @@ const heldNotes = [];
 // Track last played note (for center display)
 let lastPlayedNote = null;
 
-// Sharp to flat conversion mapping
-const sharpToFlat = {
-    'C#': 'Db',
-    'D#': 'Eb',
-    'F#': 'Gb',
-    'G#': 'Ab',
-    'A#': 'Bb'
+// Audio file loaded for key detection ({ file, buffer, detection })
+// buffer and detection stay null if the browser can't decode the file
+let loadedTrack = null;
+
+// Key shown on top of the center display ({ note, type })
+let displayedKey = null;
+
+// Imported DJ library ({ format, tracks }) and the wheel key it is filtered to
+let library = null;
+let libraryKeyFilter = null;
+let librarySearch = '';
+let libraryIncludeCompatible = true;
+
+// Maximum number of tracks rendered in the library list
+const LIBRARY_LIST_LIMIT = 200;
+
+// Set planner tracks, the moves it may use and the last planned result
+let setTracks = [];
+let setPlannerMoves = ['adjacent', 'relative'];
+let plannedSet = null;
+
+// Labels for set transitions
+const TRANSITION_LABELS = {
+    same: 'Same key',
+    adjacent: '±1',
+    relative: 'Relative',
+    energy: '+2 Energy',
+    semitone: '+7 Semitone',
+    diagonal: 'Diagonal'
 };
 
 // Options state
 let majorOnTop = settings.majorOnTop;
-let notationType = settings.notationType || 'camelot';
-let useFlats = settings.useFlats || false;
+let notationType = settings.notationType;
+let useFlats = settings.useFlats;
+let chordVoicing = settings.chordVoicing;
+let chordInversion = settings.chordInversion;
+let harmonicMoves = settings.harmonicMoves;
+let tagKeyFormat = settings.tagKeyFormat;
+
+// Chord intervals (semitones above the root) used for wheel playback
+const CHORD_INTERVALS = {
+    minor: { triad: [0, 3, 7], seventh: [0, 3, 7, 10] },
+    major: { triad: [0, 4, 7], seventh: [0, 4, 7, 11] }
+};
 
 // Octave shift state
 let octaveShift = 0;
 const MAX_OCTAVE_SHIFT = 3;
 const MIN_OCTAVE_SHIFT = -3;
 
-// Keyboard to note mapping (piano layout)
-const keyboardMap = {
-    'a': NOTE_FREQUENCIES['C'],
-    'w': NOTE_FREQUENCIES['C#'],
-    's': NOTE_FREQUENCIES['D'],
-    'e': NOTE_FREQUENCIES['D#'],
-    'd': NOTE_FREQUENCIES['E'],
-    'f': NOTE_FREQUENCIES['F'],
-    't': NOTE_FREQUENCIES['F#'],
-    'g': NOTE_FREQUENCIES['G'],
-    'y': NOTE_FREQUENCIES['G#'],
-    'h': NOTE_FREQUENCIES['A'],
-    'u': NOTE_FREQUENCIES['A#'],
-    'j': NOTE_FREQUENCIES['B']
-};
+// Scientific octave number of the NOTE_FREQUENCIES table (C4 = 261.63 Hz)
+const BASE_OCTAVE_NUMBER = 4;
+
+// Piano range: number of octaves and the white note it starts on (in the base octave)
+const PIANO_OCTAVE_COUNTS = [1, 2, 3, 4];
+const PIANO_START_NOTES = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+let pianoOctaves = settings.pianoOctaves;
+let pianoStartNote = settings.pianoStartNote;
+
+// Wheel segment lookup by key ("A-minor"), filled in by createWheel
+const wheelSegments = {};
 
 // Create pie sections
 const wheel = document.getElementById('wheel');
+const wheelOverlay = document.getElementById('wheel-overlay');
+const wheelHeatmap = document.getElementById('wheel-heatmap');
+const wheelSetPath = document.getElementById('wheel-set-path');
 const centerX = 400;
 const centerY = 400;
 const innerRingOuterRadius = 250;
@@ -196,17 +233,12 @@ function createPieSection(startAngle, endAngle, outerRadius, innerRadius) {
     return `M ${x1} ${y1} A ${outerRadius} ${outerRadius} 0 0 1 ${x2} ${y2} L ${x3} ${y3} A ${innerRadius} ${innerRadius} 0 0 0 ${x4} ${y4} Z`;
 }
 
-// Function to shift note by semitones
-function shiftNoteBySemitones(noteName, semitones) {
-    const noteOrder = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-    const currentIndex = noteOrder.indexOf(noteName);
-    const newIndex = ((currentIndex + semitones) % 12 + 12) % 12;
-    return noteOrder[newIndex];
-}
-
-// Check if a note is the major counterpart of another note (3 semitones up)
-function isMajorCounterpart(baseNote, checkNote) {
-    return shiftNoteBySemitones(baseNote, 3) === checkNote;
+// Get the chord tones for a wheel key as semitone offsets from the root,
+// applying the selected voicing and inversion (inverted tones move up an octave)
+function getChordIntervals(chordType, voicing = chordVoicing, inversion = chordInversion) {
+    const intervals = CHORD_INTERVALS[chordType][voicing] || CHORD_INTERVALS[chordType].triad;
+    const inversionCount = Math.min(inversion, intervals.length - 1);
+    return intervals.map((semitones, index) => index < inversionCount ? semitones + 12 : semitones);
 }
 
 // Determine if a note should have primary highlighting based on its type and settings
@@ -233,21 +265,33 @@ function shouldNoteBePrimary(noteName, source = null, type = null) {
 }
 
 // Function to get note name from frequency
+// (nearest semitone on the note table, in any octave)
 function getNoteFromFrequency(frequency) {
-    for (const [noteName, noteFreq] of Object.entries(NOTE_FREQUENCIES)) {
-        if (Math.abs(noteFreq - frequency) < 0.01) {
-            return noteName;
-        }
-    }
-    return null;
+    if (!(frequency > 0)) return null;
+    const semitones = Math.round(12 * Math.log2(frequency / NOTE_FREQUENCIES['C']));
+    return shiftNoteBySemitones('C', semitones);
 }
 
 // Function to convert note name to sharp or flat based on preference
 function formatNoteName(noteName) {
-    if (useFlats && sharpToFlat[noteName]) {
-        return sharpToFlat[noteName];
+    return spellNote(noteName, useFlats);
+}
+
+// Format a key as its notation code and name, e.g. "8A Amin"
+function formatKeyCode(noteName, type) {
+    const keyNotation = notationType === 'camelot' ? camelotKeys : openKeys;
+    const suffix = type === 'minor' ? 'min' : 'maj';
+    return `${keyNotation[noteName][type]} ${formatNoteName(noteName)}${suffix}`;
+}
+
+// Format a key the way it is written into file tags: the wheel notation code,
+// or the musical name ("Am", "Bb") when tagKeyFormat is 'musical'
+function formatKeyForTag(noteName, type) {
+    if (tagKeyFormat === 'musical') {
+        return `${formatNoteName(noteName)}${type === 'minor' ? 'm' : ''}`;
     }
-    return noteName;
+    const keyNotation = notationType === 'camelot' ? camelotKeys : openKeys;
+    return keyNotation[noteName][type];
 }
 
 // Helper function to clear all primary highlighting
@@ -274,11 +318,18 @@ function updateActiveNotesHighlighting() {
     
     // Re-apply highlighting based on current majorOnTop setting
     Object.entries(activeOscillators).forEach(([actualFreq, data]) => {
-        const { baseFrequency, chordType } = data;
-        const noteName = getNoteFromFrequency(baseFrequency);
+        const { baseFrequency, chordType, chordToneKeys, mode, octaveOffset, note: noteName } = data;
         
         if (!noteName) return;
         
+        // Chord tones keep their piano highlighting
+        if (chordToneKeys) {
+            highlightChordTones(chordToneKeys);
+        }
+        
+        // Mode chords only light up the piano (their root is one of their tone keys)
+        if (mode) return;
+        
         // If this note was played from the wheel, keep its original primary status
         if (chordType) {
             // Wheel click - the clicked chord type should remain primary
@@ -296,7 +347,7 @@ function updateActiveNotesHighlighting() {
                     if (shouldBePrimary) {
                         el.classList.add('active-primary');
                     }
-                } else {
+                } else if (!isInOtherOctave(el, octaveOffset)) {
                     // Piano keys - always add active-primary for consistent darker shading
                     el.classList.add('active-primary');
                 }
@@ -320,7 +371,7 @@ function updateActiveNotesHighlighting() {
 function updateCenterDisplay(forceDisplay = null) {
     const mainKeyElement = document.getElementById('center-main-key');
     const altKeyElement = document.getElementById('center-alt-key');
-    const displayElement = document.getElementById('center-display');
+    const detailElement = document.getElementById('center-detail');
     
     // Show the most recent held note, or fall back to last played note if none held
     let noteToDisplay = null;
@@ -330,12 +381,32 @@ function updateCenterDisplay(forceDisplay = null) {
         noteToDisplay = lastPlayedNote;
     }
     
-    if (noteToDisplay) {
-        const baseNoteName = typeof noteToDisplay === 'string' ? noteToDisplay : noteToDisplay.note;
-        const displayNoteName = formatNoteName(baseNoteName);
+    // Two or more held notes show the chord they form and the keys that contain it
+    const heldChord = getHeldChord();
+    drawKeyCandidates(heldChord ? heldChord.keys : []);
+    
+    // Mode and chord names are longer than key codes
+    const isMode = typeof noteToDisplay === 'object' && noteToDisplay !== null && !!noteToDisplay.mode;
+    mainKeyElement.classList.toggle('center-long-name', isMode || !!heldChord);
+    
+    if (heldChord) {
+        showHeldChord(heldChord);
+    } else if (isMode) {
+        // Modes show their parent major key, which is also the key used for mixing and tagging
+        const parent = getModeParent(noteToDisplay.note, noteToDisplay.mode);
         const keyNotation = notationType === 'camelot' ? camelotKeys : openKeys;
-        const majorKey = `${keyNotation[baseNoteName].major} ${displayNoteName}maj`;
-        const minorKey = `${keyNotation[baseNoteName].minor} ${displayNoteName}min`;
+        mainKeyElement.textContent = formatModeName(noteToDisplay.note, noteToDisplay.mode);
+        altKeyElement.textContent = `(parent ${keyNotation[parent.note].major})`;
+        mainKeyElement.style.color = keyColors[parent.note].major;
+        altKeyElement.style.color = keyColors[parent.note].major;
+        detailElement.textContent = `${formatNoteName(parent.note)} major scale`;
+        
+        displayedKey = parent;
+        updateHarmonicHighlighting(parent.note, parent.type);
+    } else if (noteToDisplay) {
+        const baseNoteName = typeof noteToDisplay === 'string' ? noteToDisplay : noteToDisplay.note;
+        const majorKey = formatKeyCode(baseNoteName, 'major');
+        const minorKey = formatKeyCode(baseNoteName, 'minor');
         
         // If forceDisplay is set (from wheel click), use that to determine order
         // Otherwise use the majorOnTop setting
@@ -344,11 +415,22 @@ function updateCenterDisplay(forceDisplay = null) {
             showMajorOnTop = true;
         } else if (forceDisplay === 'minor') {
             showMajorOnTop = false;
-        } else if (typeof noteToDisplay === 'object' && noteToDisplay.source === 'wheel') {
-            // For wheel clicks, show the clicked type on top
+        } else if (typeof noteToDisplay === 'object' && noteToDisplay.type) {
+            // For wheel clicks and detected keys, show that type on top
             showMajorOnTop = noteToDisplay.type === 'major';
         }
         
+        // Detected and live keys also show their confidence, linked keys where they came from
+        if (typeof noteToDisplay === 'object' && noteToDisplay.source === 'detected' && loadedTrack && loadedTrack.detection) {
+            detailElement.textContent = `Detected · ${Math.round(loadedTrack.detection.confidence * 100)}%`;
+        } else if (typeof noteToDisplay === 'object' && noteToDisplay.source === 'live' && liveEstimate) {
+            detailElement.textContent = `Live · ${Math.round(liveEstimate.confidence * 100)}%`;
+        } else if (typeof noteToDisplay === 'object' && noteToDisplay.source === 'linked') {
+            detailElement.textContent = 'Shared link';
+        } else {
+            detailElement.textContent = '';
+        }
+        
         // Get the color for the note
         const noteColor = keyColors[baseNoteName];
         if (noteColor) {
@@ -371,12 +453,54 @@ function updateCenterDisplay(forceDisplay = null) {
             mainKeyElement.textContent = minorKey;
             altKeyElement.textContent = majorKey;
         }
+        
+        // The key shown on top is the active key for harmonic mixing and tagging
+        displayedKey = { note: baseNoteName, type: showMajorOnTop ? 'major' : 'minor' };
+        updateHarmonicHighlighting(displayedKey.note, displayedKey.type);
     } else {
         mainKeyElement.textContent = '--';
         altKeyElement.textContent = '--';
         mainKeyElement.style.color = 'white';
         altKeyElement.style.color = 'white';
+        detailElement.textContent = '';
+        displayedKey = null;
+        updateHarmonicHighlighting(null);
     }
+    
+    updateTagPreview();
+    announceCenterDisplay();
+}
+
+// Create an outline path inset into a wheel segment
+function createSegmentOutline(key, className) {
+    const segment = wheelSegments[key];
+    if (!segment) return null;
+    
+    const inset = 4;
+    const angleInset = inset / segment.innerRadius;
+    const outline = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    outline.setAttribute('d', createPieSection(
+        segment.startAngle + angleInset,
+        segment.endAngle - angleInset,
+        segment.outerRadius - inset,
+        segment.innerRadius + inset
+    ));
+    outline.setAttribute('class', className);
+    return outline;
+}
+
+// Outline the active key and its harmonically compatible keys on the wheel
+function updateHarmonicHighlighting(noteName, type) {
+    wheelOverlay.innerHTML = '';
+    if (!noteName || !type) return;
+    
+    getHarmonicNeighbors(noteName, type, harmonicMoves).forEach(neighbor => {
+        const outline = createSegmentOutline(`${neighbor.note}-${neighbor.type}`, `harmonic-outline harmonic-${neighbor.move}`);
+        if (outline) wheelOverlay.appendChild(outline);
+    });
+    
+    const currentOutline = createSegmentOutline(`${noteName}-${type}`, 'harmonic-outline harmonic-current');
+    if (currentOutline) wheelOverlay.appendChild(currentOutline);
 }
 
 // Function to calculate volume based on active notes
@@ -395,14 +519,16 @@ function adjustActiveVolumes() {
     const targetVolume = calculateVolume();
     const now = audioContext.currentTime;
     
-    Object.values(activeOscillators).forEach(({ gainNode }) => {
-        // Only adjust if the gain node is not already ramping to 0
-        const currentValue = gainNode.gain.value;
-        if (currentValue > 0.01) {
-            gainNode.gain.cancelScheduledValues(now);
-            gainNode.gain.setValueAtTime(currentValue, now);
-            gainNode.gain.linearRampToValueAtTime(targetVolume, now + 0.05);
-        }
+    Object.values(activeOscillators).forEach(({ voices }) => {
+        voices.forEach(({ gainNode }) => {
+            // Only adjust if the gain node is not already ramping to 0
+            const currentValue = gainNode.gain.value;
+            if (currentValue > 0.01) {
+                gainNode.gain.cancelScheduledValues(now);
+                gainNode.gain.setValueAtTime(currentValue, now);
+                gainNode.gain.linearRampToValueAtTime(targetVolume, now + 0.05);
+            }
+        });
     });
 }
 
@@ -430,10 +556,17 @@ function updateHeldNotes(noteName, source, type) {
     updateCenterDisplay();
 }
 
+// Check if an element is a piano key in another octave than a note's (wheel elements have no octave)
+function isInOtherOctave(el, octaveOffset) {
+    const octave = el.getAttribute('data-octave');
+    return octave !== null && parseInt(octave, 10) !== octaveOffset;
+}
+
 // Helper function to highlight note elements
-function highlightNoteElements(frequency, noteName, isPrimary, specificType) {
-    // Highlight all elements with this frequency
+function highlightNoteElements(frequency, noteName, isPrimary, specificType, octaveOffset = 0) {
+    // Highlight all elements with this frequency (on the piano, only the key in the note's octave)
     document.querySelectorAll(`[data-frequency="${frequency}"]`).forEach(el => {
+        if (isInOtherOctave(el, octaveOffset)) return;
         el.classList.add('active');
         
         const chordType = el.getAttribute('data-chord-type');
@@ -474,8 +607,10 @@ function highlightNoteElements(frequency, noteName, isPrimary, specificType) {
     }
 }
 
-// Helper function to create and configure oscillator
-function createOscillator(frequency, octaveShift) {
+// Helper function to create and configure oscillators for a note or chord
+// (intervals are semitone offsets from the root, velocity scales the level 0..1,
+// cents detunes the sound without changing which note it is)
+function createOscillator(frequency, octaveShift, intervals = [0], velocity = 1, cents = 0) {
     const actualFrequency = frequency * Math.pow(2, octaveShift);
     
     // Always stop any existing instance of this note first
@@ -483,103 +618,156 @@ function createOscillator(frequency, octaveShift) {
         stopNote(actualFrequency);
     }
     
-    const oscillator = audioContext.createOscillator();
-    const gainNode = audioContext.createGain();
-    
-    oscillator.connect(gainNode);
-    gainNode.connect(compressor);
-    
-    oscillator.frequency.value = actualFrequency;
-    oscillator.type = 'sine';
-    
-    // Start with zero gain to avoid pops
-    gainNode.gain.value = 0;
-    gainNode.gain.setValueAtTime(0, audioContext.currentTime);
-    // Fixed volume for all notes - let compressor handle limiting
-    gainNode.gain.linearRampToValueAtTime(OSC_GAIN, audioContext.currentTime + 0.007);
-    
-    oscillator.start();
+    // Fixed volume for single notes, chords are scaled down so they don't jump out
+    // - let compressor handle limiting
+    const voiceGain = OSC_GAIN * velocity / Math.sqrt(intervals.length);
+    const soundingFrequency = actualFrequency * getTuningRatio() * Math.pow(2, cents / 1200);
+    const voices = intervals.map(semitones => 
+        createSynthVoice(soundingFrequency * Math.pow(2, semitones / 12), voiceGain, toneGainNode)
+    );
     
-    return { oscillator, gainNode, actualFrequency };
+    return { voices, actualFrequency };
+}
+
+// Get the note names of the chord tones other than the root
+function getChordToneNotes(noteName, intervals) {
+    return intervals
+        .map(semitones => shiftNoteBySemitones(noteName, semitones))
+        .filter(toneName => toneName !== noteName);
+}
+
+// Get the piano keys ({ note, octave }) the chord tones above the root sound on
+function getChordToneKeys(noteName, intervals, octaveOffset) {
+    const rootIndex = NOTE_NAMES.indexOf(noteName);
+    return intervals
+        .filter(semitones => semitones !== 0)
+        .map(semitones => ({
+            note: shiftNoteBySemitones(noteName, semitones),
+            octave: octaveOffset + Math.floor((rootIndex + semitones) / 12)
+        }));
+}
+
+// Select the piano key for a note in an octave
+function getPianoKeySelector(noteName, octave) {
+    return `.piano-key[data-frequency="${NOTE_FREQUENCIES[noteName]}"][data-octave="${octave}"]`;
+}
+
+// Check if a piano key is still sounding as part of any active note or chord
+function isPianoKeySounding(noteName, octave) {
+    return Object.values(activeOscillators).some(({ note, octaveOffset, chordToneKeys }) => 
+        (note === noteName && octaveOffset === octave) ||
+        (chordToneKeys && chordToneKeys.some(toneKey => toneKey.note === noteName && toneKey.octave === octave))
+    );
+}
+
+// Highlight the piano keys for the chord tones of a wheel chord
+function highlightChordTones(chordToneKeys) {
+    chordToneKeys.forEach(({ note, octave }) => {
+        document.querySelectorAll(getPianoKeySelector(note, octave)).forEach(el => {
+            el.classList.add('active');
+            el.classList.add('active-primary');
+        });
+    });
 }
 
 // Common function to handle note start for any input source
-function handleNoteStart(frequency, source = 'keyboard', chordType = null) {
+// octaveOffset plays the note in another octave on top of octaveShift (used by MIDI input),
+// cents detunes it (used by the pitch calculator reference)
+function handleNoteStart(frequency, source = 'keyboard', chordType = null, octaveOffset = 0, velocity = 1, cents = 0) {
     const noteName = getNoteFromFrequency(frequency);
     
     // Determine if this note should be primary
     let isPrimary = shouldNoteBePrimary(noteName, source, chordType);
     
-    // Create and start the oscillator
-    const { oscillator, gainNode, actualFrequency } = createOscillator(frequency, octaveShift);
+    // Wheel segments play the full chord for that key, everything else plays a single note
+    const intervals = source === 'wheel' && chordType ? getChordIntervals(chordType) : [0];
+    const chordTones = noteName ? getChordToneNotes(noteName, intervals) : [];
+    const chordToneKeys = noteName ? getChordToneKeys(noteName, intervals, octaveOffset) : [];
+    
+    // Create and start the oscillators
+    const { voices, actualFrequency } = createOscillator(frequency, octaveShift + octaveOffset, intervals, velocity, cents);
     
     activeOscillators[actualFrequency] = { 
-        oscillator, 
-        gainNode, 
+        voices, 
         baseFrequency: frequency, 
+        note: noteName,
         isPrimary,
-        chordType: source === 'wheel' ? chordType : undefined
+        chordType: source === 'wheel' ? chordType : undefined,
+        chordTones,
+        chordToneKeys,
+        source,
+        octaveOffset,
+        velocity,
+        cents
     };
     
+    // Mirror notes played on the wheel and piano to the MIDI output
+    if (source !== 'midi') {
+        sendMidiNotesOn(activeOscillators[actualFrequency]);
+    }
+    
     // Highlight elements
-    highlightNoteElements(frequency, noteName, isPrimary, chordType);
+    highlightNoteElements(frequency, noteName, isPrimary, chordType, octaveOffset);
+    highlightChordTones(chordToneKeys);
     
     // Update held notes
     updateHeldNotes(noteName, source, chordType);
+    
+    // The octave-shifted frequency identifies the note for stopNote
+    return actualFrequency;
 }
 
 // Function to play a note (simplified to use common handler)
-function playNote(frequency, applyOctaveShift = true, isPrimary = true) {
-    handleNoteStart(frequency, 'keyboard', null);
+function playNote(frequency, octaveOffset = 0) {
+    return handleNoteStart(frequency, 'keyboard', null, octaveOffset);
 }
 
 // Function to play a note from the wheel with specific type (simplified to use common handler)
 function playNoteFromWheel(frequency, noteName, type) {
-    handleNoteStart(frequency, 'wheel', type);
+    const actualFrequency = handleNoteStart(frequency, 'wheel', type);
+    selectScaleKey(noteName, type);
+    
+    // Clicking a segment also filters the imported library to that key
+    if (library && noteName) {
+        libraryKeyFilter = { note: noteName, type };
+        renderLibraryList();
+    }
+    return actualFrequency;
 }
 
 // Function to stop a note
 function stopNote(actualFrequency) {
     if (!activeOscillators[actualFrequency]) return;
     
-    const { oscillator, gainNode, baseFrequency } = activeOscillators[actualFrequency];
+    const entry = activeOscillators[actualFrequency];
+    const { voices, baseFrequency, chordToneKeys, octaveOffset, note: noteName } = entry;
     
     // Immediately remove from active oscillators to prevent conflicts
     delete activeOscillators[actualFrequency];
+    sendMidiNotesOff(entry);
     
-    // Get current time and value
-    const now = audioContext.currentTime;
-    const currentValue = gainNode.gain.value;
-    
-    // Cancel any scheduled parameter changes
-    gainNode.gain.cancelScheduledValues(now);
-    
-    // Set current value explicitly
-    gainNode.gain.setValueAtTime(currentValue, now);
-    
-    // Use linear ramp for Firefox compatibility
-    // Firefox sometimes has issues with exponentialRampToValueAtTime
-    gainNode.gain.linearRampToValueAtTime(0, now + 0.05);
-    
-    setTimeout(() => {
-        try {
-            oscillator.stop();
-            oscillator.disconnect();
-            gainNode.disconnect();
-        } catch (e) {
-            // Ignore errors if already stopped/disconnected
-        }
-    }, 200);
+    // Release all voices of the note or chord together
+    voices.forEach(voice => releaseSynthVoice(voice));
     
-    // Remove highlight using base frequency
+    // Remove highlight using base frequency (the wheel stays lit while the note sounds in another octave)
     const frequencyToUnhighlight = baseFrequency || actualFrequency;
+    const stillSounding = Object.values(activeOscillators).some(other => other.baseFrequency === frequencyToUnhighlight);
     document.querySelectorAll(`[data-frequency="${frequencyToUnhighlight}"]`).forEach(el => {
+        if (el.hasAttribute('data-octave') ? isInOtherOctave(el, octaveOffset) : stillSounding) return;
         el.classList.remove('active');
         el.classList.remove('active-primary');
     });
     
+    // Remove chord tone highlights from the piano unless another note still uses them
+    (chordToneKeys || []).forEach(({ note, octave }) => {
+        if (isPianoKeySounding(note, octave)) return;
+        document.querySelectorAll(getPianoKeySelector(note, octave)).forEach(el => {
+            el.classList.remove('active');
+            el.classList.remove('active-primary');
+        });
+    });
+    
     // Also remove primary-active class from wheel labels
-    const noteName = getNoteFromFrequency(frequencyToUnhighlight);
     if (noteName) {
         document.querySelectorAll(`.note-label[data-note="${noteName}"]`).forEach(label => {
             label.classList.remove('primary-active');
@@ -611,15 +799,19 @@ function updateWheelLabels() {
             label.innerHTML = `<div class="notation-line">${notation}</div><div class="key-line">${displayNoteName}${suffix}</div>`;
         }
     });
+    updateWheelAriaLabels();
 }
 
-// Update piano key labels based on sharp/flat preference
+// Update piano key labels based on sharp/flat preference, with the octave number of piano keys
 function updatePianoLabels() {
-    document.querySelectorAll('.piano-key-label').forEach(label => {
+    document.querySelectorAll('.piano-key-label, .live-chroma-label').forEach(label => {
         const baseNoteName = label.getAttribute('data-base-note');
         if (baseNoteName) {
             const displayNoteName = formatNoteName(baseNoteName);
-            label.textContent = displayNoteName;
+            const octave = label.getAttribute('data-octave');
+            label.textContent = octave === null
+                ? displayNoteName
+                : `${displayNoteName}${BASE_OCTAVE_NUMBER + octaveShift + parseInt(octave, 10)}`;
         }
     });
 }
@@ -628,11 +820,31 @@ function updatePianoLabels() {
 function initializeApp() {
     createWheel();
     updateWheelLabels();
+    setupWheelAccessibility();
     setupEventHandlers();
+    setupKeyBindings();
     createPianoKeyboard();
     updatePianoLabels();
+    setupSettingsProfiles();
     setupOptionsPanel();
+    setupSynth();
+    setupReferencePitch();
+    setupDrone();
     setupOctaveControls();
+    setupPianoRange();
+    setupHarmonicLegend();
+    setupKeyDetection();
+    setupLibrary();
+    setupSetPlanner();
+    setupKeyConverter();
+    setupMidi();
+    setupLiveInput();
+    setupPlayer();
+    setupPitchCalculator();
+    setupModes();
+    setupScaleOverlay();
+    setupDeepLinks();
+    setupOfflineSupport();
     
     // Show the page now that everything is loaded
     document.body.classList.add('loaded');
@@ -652,6 +864,7 @@ function createWheel() {
         innerPath.setAttribute('class', `note-path`);
         innerPath.setAttribute('data-frequency', note.frequency);
         innerPath.setAttribute('data-chord-type', 'minor');
+        innerPath.setAttribute('data-note', note.name);
         innerPath.setAttribute('fill', keyColors[note.name].minor);
         
         // Create outer ring path element (3 semitones up)
@@ -662,8 +875,12 @@ function createWheel() {
         outerPath.setAttribute('class', `note-path outer-ring`);
         outerPath.setAttribute('data-frequency', outerFrequency);
         outerPath.setAttribute('data-chord-type', 'major');
+        outerPath.setAttribute('data-note', outerNote);
         outerPath.setAttribute('fill', keyColors[outerNote].major);
         
+        wheelSegments[`${note.name}-minor`] = { path: innerPath, startAngle, endAngle, outerRadius: innerRingOuterRadius, innerRadius: innerRingInnerRadius };
+        wheelSegments[`${outerNote}-major`] = { path: outerPath, startAngle, endAngle, outerRadius: outerRingOuterRadius, innerRadius: outerRingInnerRadius };
+        
         // Add event listeners for inner path (minor)
         setupWheelEventListeners(innerPath, note.frequency, note.name, 'minor');
         
@@ -703,128 +920,137 @@ function createWheel() {
     });
 }
 
-// Common mouse/touch event handlers
-function handleMouseDown(e, frequency, source = 'keyboard', chordType = null) {
-    e.preventDefault();
-    isMouseDown = true;
-    if (currentPlayingFrequency && currentPlayingFrequency !== frequency) {
-        const actualFrequency = currentPlayingFrequency * Math.pow(2, octaveShift);
-        stopNote(actualFrequency);
-    }
-    currentPlayingFrequency = frequency;
-    
+// Start the note or chord of a wheel segment or piano key
+// (octaveOffset is the octave of a piano key above the base octave)
+function startPointerNote({ frequency, source, chordType, octaveOffset }) {
     if (source === 'wheel') {
-        playNoteFromWheel(frequency, getNoteFromFrequency(frequency), chordType);
-    } else {
-        const noteName = getNoteFromFrequency(frequency);
-        const isPrimary = shouldNoteBePrimary(noteName);
-        playNote(frequency, true, isPrimary);
+        return playNoteFromWheel(frequency, getNoteFromFrequency(frequency), chordType);
     }
+    return playNote(frequency, octaveOffset);
 }
 
-function handleMouseEnter(e, frequency, source = 'keyboard', chordType = null) {
-    if (isMouseDown) {
-        if (currentPlayingFrequency && currentPlayingFrequency !== frequency) {
-            const actualFrequency = currentPlayingFrequency * Math.pow(2, octaveShift);
-            stopNote(actualFrequency);
-        }
-        currentPlayingFrequency = frequency;
-        
-        if (source === 'wheel') {
-            playNoteFromWheel(frequency, getNoteFromFrequency(frequency), chordType);
-        } else {
-            const noteName = getNoteFromFrequency(frequency);
-            const isPrimary = shouldNoteBePrimary(noteName);
-            playNote(frequency, true, isPrimary);
-        }
+// Stop a pointer's note unless another pointer is holding the same note
+function releasePointerNote(pointerId) {
+    const pointer = activePointers.get(pointerId);
+    if (!pointer) return;
+    
+    activePointers.delete(pointerId);
+    const isShared = Array.from(activePointers.values()).some(other => other.actualFrequency === pointer.actualFrequency);
+    if (!isShared) {
+        stopNote(pointer.actualFrequency);
     }
 }
 
-function handleTouchStart(e, frequency, source = 'keyboard', chordType = null) {
+// Pointer pressed on a wheel segment or piano key
+function handlePointerDown(e, element) {
+    // Only the main mouse button plays
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
     e.preventDefault();
     
-    if (source === 'wheel') {
-        playNoteFromWheel(frequency, getNoteFromFrequency(frequency), chordType);
-    } else {
-        const noteName = getNoteFromFrequency(frequency);
-        const isPrimary = shouldNoteBePrimary(noteName);
-        playNote(frequency, true, isPrimary);
+    // In latch mode a press toggles a drone instead
+    const playable = playableElements.get(element);
+    if (latchMode) {
+        toggleDrone(playable.frequency, playable.source, playable.chordType, playable.octaveOffset);
+        return;
     }
+    
+    releasePointerNote(e.pointerId);
+    activePointers.set(e.pointerId, { element, actualFrequency: startPointerNote(playable) });
 }
 
-function handleTouchEnd(e, frequency) {
-    e.preventDefault();
-    const actualFrequency = frequency * Math.pow(2, octaveShift);
-    stopNote(actualFrequency);
+// Pointer moved: glide to the segment or key under it
+// (touch pointers stay captured by the element they started on, so the target is found by position)
+function handlePointerMove(e) {
+    const pointer = activePointers.get(e.pointerId);
+    if (!pointer) return;
+    
+    const underPointer = document.elementFromPoint(e.clientX, e.clientY);
+    const element = underPointer && underPointer.closest('.note-path, .piano-key');
+    if (!element || element === pointer.element || !playableElements.has(element)) return;
+    
+    releasePointerNote(e.pointerId);
+    activePointers.set(e.pointerId, { element, actualFrequency: startPointerNote(playableElements.get(element)) });
 }
 
 // Setup event listeners for wheel elements
 function setupWheelEventListeners(pathElement, frequency, noteName, type) {
-    pathElement.addEventListener('mousedown', (e) => handleMouseDown(e, frequency, 'wheel', type));
-    pathElement.addEventListener('mouseenter', (e) => handleMouseEnter(e, frequency, 'wheel', type));
-    pathElement.addEventListener('touchstart', (e) => handleTouchStart(e, frequency, 'wheel', type));
-    pathElement.addEventListener('touchend', (e) => handleTouchEnd(e, frequency));
+    playableElements.set(pathElement, { frequency, source: 'wheel', chordType: type, octaveOffset: 0 });
+    pathElement.addEventListener('pointerdown', (e) => handlePointerDown(e, pathElement));
+}
+
+// Check if an element takes text input (piano hotkeys are ignored there)
+function isTextEntryElement(element) {
+    if (!element || !element.tagName) return false;
+    const tagName = element.tagName.toLowerCase();
+    if (tagName === 'textarea' || element.isContentEditable) return true;
+    return tagName === 'input' && ['text', 'search', 'number', 'url', 'email'].includes(element.type);
 }
 
 // Setup global event handlers
 function setupEventHandlers() {
-    // Global mouse event handlers
-    document.addEventListener('mouseup', () => {
-        isMouseDown = false;
-        if (currentPlayingFrequency) {
-            const actualFrequency = currentPlayingFrequency * Math.pow(2, octaveShift);
-            stopNote(actualFrequency);
-            currentPlayingFrequency = null;
-        }
-    });
+    // Global pointer event handlers
+    document.addEventListener('pointermove', handlePointerMove);
+    document.addEventListener('pointerup', (e) => releasePointerNote(e.pointerId));
+    document.addEventListener('pointercancel', (e) => releasePointerNote(e.pointerId));
     
     // Keyboard event handlers
     document.addEventListener('keydown', (e) => {
         // Ignore if modifier keys are pressed
         if (e.ctrlKey || e.metaKey || e.altKey) return;
         
-        const key = e.key.toLowerCase();
+        // Ignore typing in text fields
+        if (isTextEntryElement(e.target)) return;
         
-        // Handle octave controls
-        if (key === 'z' && octaveShift > MIN_OCTAVE_SHIFT) {
-            const oldOctaveShift = octaveShift;
-            octaveShift--;
-            shiftActiveNotes(oldOctaveShift, octaveShift);
-            updateOctaveDisplay();
+        // Escape is the panic key
+        if (e.code === 'Escape') {
+            stopAllSound();
             return;
         }
-        if (key === 'x' && octaveShift < MAX_OCTAVE_SHIFT) {
-            const oldOctaveShift = octaveShift;
-            octaveShift++;
-            shiftActiveNotes(oldOctaveShift, octaveShift);
-            updateOctaveDisplay();
+        
+        // Keys are bound by position (see keybindings.js)
+        const action = getKeyAction(e.code);
+        if (!action) return;
+        e.preventDefault();
+        
+        // Octave, latch and option toggles run once per press
+        if (KEY_COMMANDS[action]) {
+            if (!e.repeat) {
+                KEY_COMMANDS[action].run();
+            }
             return;
         }
         
-        const frequency = keyboardMap[key];
+        const binding = parseNoteAction(action);
+        const frequency = NOTE_FREQUENCIES[binding.note];
         
-        if (frequency && !activeKeys.has(key)) {
-            activeKeys.add(key);
-            handleNoteStart(frequency, 'keyboard');
+        if (!activeKeys.has(e.code)) {
+            if (latchMode) {
+                activeKeys.set(e.code, null);
+                toggleDrone(frequency, 'keyboard', null, binding.octave);
+            } else {
+                activeKeys.set(e.code, handleNoteStart(frequency, 'keyboard', null, binding.octave));
+            }
         }
     });
     
+    // Keys stop the note they started, even if the octave changed while they were held
     document.addEventListener('keyup', (e) => {
-        const key = e.key.toLowerCase();
-        const frequency = keyboardMap[key];
+        if (isTextEntryElement(e.target)) return;
         
-        if (frequency && activeKeys.has(key)) {
-            activeKeys.delete(key);
-            const actualFrequency = frequency * Math.pow(2, octaveShift);
-            stopNote(actualFrequency);
+        if (activeKeys.has(e.code)) {
+            const actualFrequency = activeKeys.get(e.code);
+            activeKeys.delete(e.code);
+            if (actualFrequency) {
+                stopNote(actualFrequency);
+            }
         }
     });
     
-    // Stop all notes when window loses focus
+    // Stop all notes when window loses focus (latched drones keep playing)
     window.addEventListener('blur', () => {
-        isMouseDown = false;
-        currentPlayingFrequency = null;
+        activePointers.clear();
         activeKeys.clear();
+        releaseAllMidiNotes();
         heldNotes.length = 0; // Clear held notes
         Object.keys(activeOscillators).forEach(freq => stopNote(freq));
         document.querySelectorAll('.active').forEach(el => el.classList.remove('active'));
@@ -833,87 +1059,118 @@ function setupEventHandlers() {
     });
 }
 
-// Create piano keyboard
+// Create piano keyboard for the selected range, sized to the panel width
 function createPianoKeyboard() {
     const pianoContainer = document.getElementById('piano-keyboard');
+    pianoContainer.innerHTML = '';
+    pianoContainer.classList.toggle('compact', pianoOctaves > 2);
+    
+    // Piano notes in chromatic order from the start note up to the same note pianoOctaves higher
+    const startIndex = NOTE_NAMES.indexOf(pianoStartNote);
+    const pianoNotes = [];
+    for (let semitones = startIndex; semitones <= startIndex + 12 * pianoOctaves; semitones++) {
+        const name = NOTE_NAMES[semitones % 12];
+        pianoNotes.push({
+            name,
+            frequency: NOTE_FREQUENCIES[name],
+            octave: Math.floor(semitones / 12),
+            isBlack: name.includes('#')
+        });
+    }
     
-    // Piano notes in chromatic order
-    const chromaticOrder = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-    const pianoNotes = chromaticOrder.map(name => ({
-        name,
-        frequency: NOTE_FREQUENCIES[name],
-        isBlack: name.includes('#')
-    }));
-    
-    // Reverse keyboard map for hints
-    const frequencyToKey = {};
-    Object.entries(keyboardMap).forEach(([key, freq]) => {
-        frequencyToKey[freq] = key.toUpperCase();
-    });
-    
-    // Create white keys first
-    const whiteKeys = pianoNotes.filter(note => !note.isBlack);
-    whiteKeys.forEach(note => {
+    const createKey = (note, className) => {
         const key = document.createElement('div');
-        key.className = 'piano-key white-key';
+        key.className = `piano-key ${className}`;
         key.dataset.frequency = note.frequency;
+        key.dataset.octave = note.octave;
         
         const label = document.createElement('span');
         label.className = 'piano-key-label';
         label.setAttribute('data-base-note', note.name);
+        label.setAttribute('data-octave', note.octave);
         key.appendChild(label);
         
+        const degree = document.createElement('span');
+        degree.className = 'piano-key-degree';
+        key.appendChild(degree);
+        
         // Add keyboard hint
-        if (frequencyToKey[note.frequency]) {
+        const hintKey = getActionKeyLabel(`note-${note.name}-${note.octave}`);
+        if (hintKey) {
             const hint = document.createElement('span');
             hint.className = 'key-hint';
-            hint.textContent = frequencyToKey[note.frequency];
+            hint.textContent = hintKey;
             key.appendChild(hint);
         }
         
-        setupPianoKeyEventListeners(key, note.frequency);
+        setupPianoKeyEventListeners(key, note.frequency, note.octave);
         pianoContainer.appendChild(key);
-    });
-    
-    // Create black keys
-    const blackKeyPositions = {
-        'C#': 'black-key-cs',
-        'D#': 'black-key-ds',
-        'F#': 'black-key-fs',
-        'G#': 'black-key-gs',
-        'A#': 'black-key-as'
+        return key;
     };
     
-    const blackKeys = pianoNotes.filter(note => note.isBlack);
-    blackKeys.forEach(note => {
-        const key = document.createElement('div');
-        key.className = `piano-key black-key ${blackKeyPositions[note.name]}`;
-        key.dataset.frequency = note.frequency;
-        
-        const label = document.createElement('span');
-        label.className = 'piano-key-label';
-        label.setAttribute('data-base-note', note.name);
-        key.appendChild(label);
-        
-        // Add keyboard hint
-        if (frequencyToKey[note.frequency]) {
-            const hint = document.createElement('span');
-            hint.className = 'key-hint';
-            hint.textContent = frequencyToKey[note.frequency];
-            key.appendChild(hint);
+    // White keys share the width, black keys sit on the boundary after the white key before them
+    const whiteCount = pianoNotes.filter(note => !note.isBlack).length;
+    const whiteWidth = 100 / whiteCount;
+    let whiteIndex = 0;
+    pianoNotes.forEach(note => {
+        if (!note.isBlack) {
+            createKey(note, 'white-key');
+            whiteIndex++;
+            return;
         }
-        
-        setupPianoKeyEventListeners(key, note.frequency);
-        pianoContainer.appendChild(key);
+        const key = createKey(note, 'black-key');
+        key.style.width = `${whiteWidth * 0.6}%`;
+        key.style.left = `${whiteWidth * (whiteIndex - 0.3)}%`;
     });
 }
 
 // Setup event listeners for piano keys
-function setupPianoKeyEventListeners(keyElement, frequency) {
-    keyElement.addEventListener('mousedown', (e) => handleMouseDown(e, frequency, 'piano'));
-    keyElement.addEventListener('mouseenter', (e) => handleMouseEnter(e, frequency, 'piano'));
-    keyElement.addEventListener('touchstart', (e) => handleTouchStart(e, frequency, 'piano'));
-    keyElement.addEventListener('touchend', (e) => handleTouchEnd(e, frequency));
+function setupPianoKeyEventListeners(keyElement, frequency, octaveOffset) {
+    playableElements.set(keyElement, { frequency, source: 'piano', chordType: null, octaveOffset });
+    keyElement.addEventListener('pointerdown', (e) => handlePointerDown(e, keyElement));
+}
+
+// Rebuild the piano after its range changes, keeping the highlights of sounding notes
+function rebuildPianoKeyboard() {
+    createPianoKeyboard();
+    updatePianoLabels();
+    updateScaleOverlay();
+    Object.values(activeOscillators).forEach(entry => {
+        if (!entry.mode) {
+            highlightNoteElements(entry.baseFrequency, entry.note, entry.isPrimary, entry.chordType, entry.octaveOffset);
+        }
+        highlightChordTones(entry.chordToneKeys || []);
+    });
+    drones.forEach(drone => setDroneHighlight(drone.note, drone.type, true));
+}
+
+// Setup piano range controls
+function setupPianoRange() {
+    const octavesSelect = document.getElementById('piano-octaves');
+    const startSelect = document.getElementById('piano-start');
+    
+    PIANO_OCTAVE_COUNTS.forEach(count => {
+        octavesSelect.appendChild(new Option(`${count} ${count === 1 ? 'octave' : 'octaves'}`, count));
+    });
+    PIANO_START_NOTES.forEach(noteName => {
+        startSelect.appendChild(new Option(`From ${noteName}`, noteName));
+    });
+    octavesSelect.value = pianoOctaves;
+    startSelect.value = pianoStartNote;
+    
+    octavesSelect.addEventListener('change', () => {
+        pianoOctaves = parseInt(octavesSelect.value, 10);
+        rebuildPianoKeyboard();
+        persistSettings();
+        octavesSelect.blur();
+    });
+    
+    startSelect.addEventListener('change', () => {
+        pianoStartNote = startSelect.value;
+        rebuildPianoKeyboard();
+        persistSettings();
+        startSelect.blur();
+    });
 }
 
 // Setup options panel
@@ -922,18 +1179,22 @@ function setupOptionsPanel() {
     const volumeSlider = document.getElementById('volume-slider');
     const notationToggle = document.getElementById('notation-toggle');
     const flatsToggle = document.getElementById('flats-toggle');
+    const chordVoicingToggle = document.getElementById('chord-voicing-toggle');
+    const chordInversionSelect = document.getElementById('chord-inversion');
     
     // Restore saved settings to UI elements
     majorOnTopCheckbox.checked = majorOnTop;
     volumeSlider.value = MASTER_GAIN;
     notationToggle.checked = notationType === 'openkey';
     flatsToggle.checked = useFlats;
+    chordVoicingToggle.checked = chordVoicing === 'seventh';
+    chordInversionSelect.value = chordInversion;
     
     majorOnTopCheckbox.addEventListener('change', (e) => {
         majorOnTop = e.target.checked;
         updateCenterDisplay(); // Refresh the display with new order
         updateActiveNotesHighlighting(); // Update white/black text for held notes
-        saveSettings({ majorOnTop, volume: MASTER_GAIN, notationType, useFlats });
+        persistSettings();
     });
     
     // Prevent checkbox from stealing keyboard focus
@@ -948,7 +1209,14 @@ function setupOptionsPanel() {
         notationType = e.target.checked ? 'openkey' : 'camelot';
         updateWheelLabels();
         updateCenterDisplay();
-        saveSettings({ majorOnTop, volume: MASTER_GAIN, notationType, useFlats });
+        renderDetectionResult();
+        renderLibraryList();
+        renderPlannedSet();
+        renderPitchCalculator();
+        renderModeList();
+        updateScaleOverlay();
+        updateTagPreview();
+        persistSettings();
     });
     
     // Prevent notation toggle from stealing keyboard focus
@@ -964,7 +1232,15 @@ function setupOptionsPanel() {
         updateWheelLabels();
         updatePianoLabels();
         updateCenterDisplay();
-        saveSettings({ majorOnTop, volume: MASTER_GAIN, notationType, useFlats });
+        renderDetectionResult();
+        renderLibraryList();
+        renderPlannedSet();
+        renderPitchCalculator();
+        renderModeList();
+        renderKeyBindings();
+        updateScaleOverlay();
+        updateTagPreview();
+        persistSettings();
     });
     
     // Prevent flats toggle from stealing keyboard focus
@@ -974,89 +1250,798 @@ function setupOptionsPanel() {
     
     // Toggle switch clicks are handled by the label wrapper
     
+    // Setup chord voicing toggle (applies to the next wheel click)
+    chordVoicingToggle.addEventListener('change', (e) => {
+        chordVoicing = e.target.checked ? 'seventh' : 'triad';
+        persistSettings();
+    });
+    
+    // Prevent chord voicing toggle from stealing keyboard focus
+    chordVoicingToggle.addEventListener('click', () => {
+        chordVoicingToggle.blur();
+    });
+    
+    // Setup chord inversion select
+    chordInversionSelect.addEventListener('change', (e) => {
+        chordInversion = parseInt(e.target.value, 10);
+        persistSettings();
+        // Release focus so letter keys go back to the piano
+        chordInversionSelect.blur();
+    });
+    
     // Setup volume slider
     volumeSlider.addEventListener('input', (e) => {
         MASTER_GAIN = parseFloat(e.target.value);
         masterGainNode.gain.setValueAtTime(MASTER_GAIN, audioContext.currentTime);
-        saveSettings({ majorOnTop, volume: MASTER_GAIN, notationType, useFlats });
+        persistSettings();
     });
 }
 
-// Setup octave controls
-function setupOctaveControls() {
-    const octaveDownBtn = document.getElementById('octave-down');
-    const octaveUpBtn = document.getElementById('octave-up');
-    const octaveDisplay = document.getElementById('octave-display');
+// Retune the sounding notes and drones by a frequency ratio after the reference pitch changes
+function retuneActiveNotes(ratio) {
+    const now = audioContext.currentTime;
+    [...Object.values(activeOscillators), ...drones.values()].forEach(({ voices }) => {
+        voices.forEach(voice => {
+            voice.frequency *= ratio;
+            voice.sources.forEach(source => {
+                source.frequency.setValueAtTime(source.frequency.value * ratio, now);
+            });
+        });
+    });
+}
+
+// Setup reference pitch controls (A4 in Hz and the same offset in cents)
+function setupReferencePitch() {
+    const pitchInput = document.getElementById('reference-pitch');
+    const centsInput = document.getElementById('reference-cents');
+    const resetButton = document.getElementById('reference-reset');
+    
+    const showReferencePitch = () => {
+        pitchInput.value = referencePitch.toFixed(1);
+        centsInput.value = Math.round(getReferenceCents());
+    };
+    
+    const setReferencePitch = (frequency) => {
+        if (!isFinite(frequency)) {
+            showReferencePitch();
+            return;
+        }
+        const previousPitch = referencePitch;
+        referencePitch = Math.min(REFERENCE_PITCH_MAX, Math.max(REFERENCE_PITCH_MIN, Math.round(frequency * 10) / 10));
+        retuneActiveNotes(referencePitch / previousPitch);
+        showReferencePitch();
+        persistSettings();
+    };
+    
+    showReferencePitch();
+    
+    pitchInput.addEventListener('change', () => {
+        setReferencePitch(parseFloat(pitchInput.value));
+        pitchInput.blur();
+    });
+    
+    centsInput.addEventListener('change', () => {
+        setReferencePitch(STANDARD_REFERENCE_PITCH * Math.pow(2, parseFloat(centsInput.value) / 1200));
+        centsInput.blur();
+    });
     
-    function updateOctaveDisplay() {
-        octaveDisplay.textContent = `Octave: ${octaveShift > 0 ? '+' : ''}${octaveShift}`;
+    resetButton.addEventListener('click', () => {
+        setReferencePitch(STANDARD_REFERENCE_PITCH);
+        resetButton.blur();
+    });
+}
+
+// Setup harmonic mixing legend, each entry toggles its move type
+function setupHarmonicLegend() {
+    const legend = document.getElementById('harmonic-legend');
+    
+    HARMONIC_MOVES.forEach(move => {
+        const item = document.createElement('label');
+        item.className = 'harmonic-legend-item';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.tabIndex = -1;
+        checkbox.checked = harmonicMoves.includes(move.id);
+        
+        const swatch = document.createElement('span');
+        swatch.className = `harmonic-swatch harmonic-swatch-${move.id}`;
+        
+        const text = document.createElement('span');
+        text.textContent = move.label;
+        
+        checkbox.addEventListener('change', () => {
+            harmonicMoves = HARMONIC_MOVES
+                .filter(m => m.id === move.id ? checkbox.checked : harmonicMoves.includes(m.id))
+                .map(m => m.id);
+            updateCenterDisplay();
+            renderLibraryList();
+            persistSettings();
+            checkbox.blur();
+        });
+        
+        item.appendChild(checkbox);
+        item.appendChild(swatch);
+        item.appendChild(text);
+        legend.appendChild(item);
+    });
+}
+
+// Setup drag-and-drop and file picker for audio key detection
+function setupKeyDetection() {
+    const dropOverlay = document.getElementById('drop-overlay');
+    const chooseButton = document.getElementById('detection-choose');
+    const fileInput = document.getElementById('detection-file-input');
+    
+    const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+    
+    document.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dropOverlay.classList.add('visible');
+    });
+    
+    document.addEventListener('dragleave', (e) => {
+        // Only hide once the drag leaves the window
+        if (!e.relatedTarget) {
+            dropOverlay.classList.remove('visible');
+        }
+    });
+    
+    document.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dropOverlay.classList.remove('visible');
+        const file = e.dataTransfer.files[0];
+        if (file) {
+            analyzeAudioFile(file);
+        }
+    });
+    
+    chooseButton.addEventListener('click', () => {
+        fileInput.click();
+        chooseButton.blur();
+    });
+    
+    const tagFormatSelect = document.getElementById('tag-key-format');
+    const saveTagButton = document.getElementById('tag-save');
+    
+    tagFormatSelect.value = tagKeyFormat;
+    tagFormatSelect.addEventListener('change', () => {
+        tagKeyFormat = tagFormatSelect.value;
+        updateTagPreview();
+        persistSettings();
+        tagFormatSelect.blur();
+    });
+    
+    saveTagButton.addEventListener('click', () => {
+        saveTaggedCopy();
+        saveTagButton.blur();
+    });
+    
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) {
+            analyzeAudioFile(fileInput.files[0]);
+        }
+        fileInput.value = '';
+    });
+}
+
+// Decode an audio file and estimate its key
+async function analyzeAudioFile(file) {
+    const status = document.getElementById('detection-status');
+    const chooseButton = document.getElementById('detection-choose');
+    
+    chooseButton.disabled = true;
+    status.textContent = `Decoding ${file.name}…`;
+    
+    // Keep the file even if it can't be analyzed, a key can still be picked for tagging
+    loadedTrack = { file, buffer: null, detection: null };
+    renderDetectionResult();
+    
+    try {
+        const arrayBuffer = await file.arrayBuffer();
+        const buffer = await audioContext.decodeAudioData(arrayBuffer);
+        loadPlayerTrack(buffer);
+        
+        const chroma = await computeChromagram(buffer, (progress) => {
+            status.textContent = `Analyzing ${file.name}… ${Math.round(progress * 100)}%`;
+        }, referencePitch);
+        
+        loadedTrack = { file, buffer, detection: detectKey(chroma) };
+        status.textContent = file.name;
+        showDetectedKey();
+    } catch (e) {
+        status.textContent = `Could not analyze ${file.name} - pick its key on the wheel to tag it`;
+    }
+    
+    chooseButton.disabled = false;
+    updateTagPreview();
+}
+
+// Show which key value would be written to the loaded file
+function updateTagPreview() {
+    const preview = document.getElementById('tag-preview');
+    const saveTagButton = document.getElementById('tag-save');
+    
+    saveTagButton.disabled = !loadedTrack || !displayedKey;
+    preview.textContent = displayedKey ? formatKeyForTag(displayedKey.note, displayedKey.type) : '--';
+}
+
+// Download a copy of the loaded file with the displayed key written into its tags
+async function saveTaggedCopy() {
+    const status = document.getElementById('detection-status');
+    if (!loadedTrack || !displayedKey) return;
+    
+    const { file } = loadedTrack;
+    const keyValue = formatKeyForTag(displayedKey.note, displayedKey.type);
+    
+    try {
+        const tagged = writeKeyTag(await file.arrayBuffer(), keyValue);
+        const url = URL.createObjectURL(new Blob([tagged], { type: file.type || 'application/octet-stream' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        status.textContent = `Saved ${file.name} with key ${keyValue}`;
+    } catch (e) {
+        status.textContent = `Could not tag ${file.name}: ${e.message}`;
+    }
+}
+
+// Show the detected key on the wheel and in the center display
+function showDetectedKey() {
+    if (!loadedTrack || !loadedTrack.detection) return;
+    
+    const { note, type } = loadedTrack.detection;
+    lastPlayedNote = { note, source: 'detected', type };
+    updateCenterDisplay();
+    renderDetectionResult();
+}
+
+// Render the detected key, confidence and runner-up keys
+function renderDetectionResult() {
+    const result = document.getElementById('detection-result');
+    result.innerHTML = '';
+    if (!loadedTrack || !loadedTrack.detection) return;
+    
+    const { note, type, confidence, candidates } = loadedTrack.detection;
+    
+    const best = document.createElement('div');
+    best.className = 'detection-best';
+    best.textContent = formatKeyCode(note, type);
+    best.style.color = keyColors[note][type];
+    
+    const confidenceLine = document.createElement('div');
+    confidenceLine.className = 'detection-confidence';
+    confidenceLine.textContent = `${Math.round(confidence * 100)}% confidence`;
+    
+    result.appendChild(best);
+    result.appendChild(confidenceLine);
+    
+    candidates.forEach(candidate => {
+        const row = document.createElement('div');
+        row.className = 'detection-candidate';
+        row.innerHTML = `<span>${formatKeyCode(candidate.note, candidate.type)}</span><span>${Math.round(candidate.confidence * 100)}%</span>`;
+        result.appendChild(row);
+    });
+}
+
+// Setup the DJ library importer, search and key filter
+function setupLibrary() {
+    const importButton = document.getElementById('library-import');
+    const fileInput = document.getElementById('library-file-input');
+    const searchInput = document.getElementById('library-search');
+    const compatibleCheckbox = document.getElementById('library-compatible');
+    
+    compatibleCheckbox.checked = libraryIncludeCompatible;
+    
+    importButton.addEventListener('click', () => {
+        fileInput.click();
+        importButton.blur();
+    });
+    
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) {
+            importLibraryFile(fileInput.files[0]);
+        }
+        fileInput.value = '';
+    });
+    
+    searchInput.addEventListener('input', () => {
+        librarySearch = searchInput.value.trim().toLowerCase();
+        renderLibraryList();
+    });
+    
+    compatibleCheckbox.addEventListener('change', () => {
+        libraryIncludeCompatible = compatibleCheckbox.checked;
+        renderLibraryList();
+        compatibleCheckbox.blur();
+    });
+    
+    document.getElementById('library-filter').addEventListener('click', (e) => {
+        if (e.target.classList.contains('library-filter-clear')) {
+            libraryKeyFilter = null;
+            renderLibraryList();
+        }
+    });
+}
+
+// Read a Rekordbox or Traktor collection export
+async function importLibraryFile(file) {
+    const status = document.getElementById('library-status');
+    
+    try {
+        library = parseCollectionFile(await file.text());
+        libraryKeyFilter = null;
+        const keyedCount = library.tracks.filter(track => track.key).length;
+        const formatName = library.format === 'rekordbox' ? 'Rekordbox' : 'Traktor';
+        status.textContent = `${formatName}: ${library.tracks.length} tracks, ${keyedCount} with a key`;
+    } catch (e) {
+        library = null;
+        status.textContent = `Could not import ${file.name}: ${e.message}`;
     }
     
-    function shiftActiveNotes(oldOctaveShift, newOctaveShift) {
-        // Get list of active notes with their base frequencies
-        const activeNotes = [];
-        Object.entries(activeOscillators).forEach(([actualFreq, data]) => {
-            activeNotes.push({
-                actualFreq: parseFloat(actualFreq),
-                baseFreq: data.baseFrequency,
-                data: data
+    updateLibraryHeatmap();
+    renderLibraryList();
+}
+
+// Count the imported tracks in each wheel key
+function getLibraryKeyCounts() {
+    const counts = {};
+    if (!library) return counts;
+    
+    library.tracks.forEach(track => {
+        if (!track.key) return;
+        const key = `${track.key.note}-${track.key.type}`;
+        counts[key] = (counts[key] || 0) + 1;
+    });
+    return counts;
+}
+
+// Draw a heat strip and track count on each wheel segment
+function updateLibraryHeatmap() {
+    wheelHeatmap.innerHTML = '';
+    
+    const counts = getLibraryKeyCounts();
+    const maxCount = Math.max(0, ...Object.values(counts));
+    if (maxCount === 0) return;
+    
+    Object.entries(counts).forEach(([key, count]) => {
+        const segment = wheelSegments[key];
+        if (!segment) return;
+        
+        const strip = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        strip.setAttribute('d', createPieSection(segment.startAngle, segment.endAngle, segment.outerRadius - 3, segment.outerRadius - 12));
+        strip.setAttribute('class', 'heatmap-strip');
+        strip.setAttribute('fill-opacity', (0.15 + 0.85 * count / maxCount).toFixed(2));
+        wheelHeatmap.appendChild(strip);
+        
+        const countAngle = (segment.startAngle + segment.endAngle) / 2;
+        const countRadius = segment.outerRadius - 26;
+        const countText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        countText.setAttribute('x', centerX + countRadius * Math.cos(countAngle));
+        countText.setAttribute('y', centerY + countRadius * Math.sin(countAngle));
+        countText.setAttribute('class', 'heatmap-count');
+        countText.textContent = count;
+        wheelHeatmap.appendChild(countText);
+    });
+}
+
+// Render the imported tracks matching the search text and wheel key filter
+function renderLibraryList() {
+    const list = document.getElementById('library-list');
+    const filterElement = document.getElementById('library-filter');
+    list.innerHTML = '';
+    filterElement.innerHTML = '';
+    if (!library) return;
+    
+    // Keys allowed by the wheel filter, with the move that reaches them
+    let allowedKeys = null;
+    if (libraryKeyFilter) {
+        const { note, type } = libraryKeyFilter;
+        allowedKeys = { [`${note}-${type}`]: 'match' };
+        if (libraryIncludeCompatible) {
+            getHarmonicNeighbors(note, type, harmonicMoves).forEach(neighbor => {
+                const key = `${neighbor.note}-${neighbor.type}`;
+                if (!allowedKeys[key]) allowedKeys[key] = neighbor.move;
             });
+        }
+        
+        filterElement.innerHTML = `<span>${formatKeyCode(note, type)}${libraryIncludeCompatible ? ' + compatible' : ''}</span><button class="library-filter-clear" tabindex="-1">Clear</button>`;
+    }
+    
+    const tracks = library.tracks.filter(track => {
+        if (librarySearch) {
+            const text = `${track.title} ${track.artist} ${track.rawKey}`.toLowerCase();
+            if (!text.includes(librarySearch)) return false;
+        }
+        if (allowedKeys) {
+            return track.key && allowedKeys[`${track.key.note}-${track.key.type}`];
+        }
+        return true;
+    });
+    
+    // Exact key matches first when filtering
+    if (allowedKeys) {
+        tracks.sort((a, b) => {
+            const aMatch = allowedKeys[`${a.key.note}-${a.key.type}`] === 'match' ? 0 : 1;
+            const bMatch = allowedKeys[`${b.key.note}-${b.key.type}`] === 'match' ? 0 : 1;
+            return aMatch - bMatch;
         });
+    }
+    
+    tracks.slice(0, LIBRARY_LIST_LIMIT).forEach(track => {
+        const row = document.createElement('div');
+        row.className = 'library-track';
+        
+        const keyBadge = document.createElement('span');
+        keyBadge.className = 'library-key';
+        if (track.key) {
+            keyBadge.textContent = (notationType === 'camelot' ? camelotKeys : openKeys)[track.key.note][track.key.type];
+            keyBadge.style.backgroundColor = keyColors[track.key.note][track.key.type];
+            keyBadge.title = formatKeyCode(track.key.note, track.key.type);
+        } else {
+            keyBadge.textContent = track.rawKey || '--';
+            keyBadge.classList.add('unknown');
+        }
+        
+        const info = document.createElement('span');
+        info.className = 'library-track-info';
+        info.textContent = track.artist ? `${track.artist} - ${track.title}` : track.title;
+        
+        const bpm = document.createElement('span');
+        bpm.className = 'library-bpm';
+        bpm.textContent = track.bpm ? track.bpm.toFixed(1) : '';
         
-        // Stop all current notes
-        activeNotes.forEach(note => {
-            stopNote(note.actualFreq);
+        row.appendChild(keyBadge);
+        row.appendChild(info);
+        row.appendChild(bpm);
+        list.appendChild(row);
+    });
+    
+    if (tracks.length > LIBRARY_LIST_LIMIT) {
+        const more = document.createElement('div');
+        more.className = 'library-more';
+        more.textContent = `…and ${tracks.length - LIBRARY_LIST_LIMIT} more`;
+        list.appendChild(more);
+    } else if (tracks.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'library-more';
+        empty.textContent = 'No matching tracks';
+        list.appendChild(empty);
+    }
+}
+
+// Setup the harmonic set planner
+function setupSetPlanner() {
+    const input = document.getElementById('set-input');
+    const importButton = document.getElementById('set-import');
+    const fileInput = document.getElementById('set-file-input');
+    const planButton = document.getElementById('set-plan');
+    const clearButton = document.getElementById('set-clear');
+    const movesContainer = document.getElementById('set-moves');
+    
+    HARMONIC_MOVES.forEach(move => {
+        const item = document.createElement('label');
+        item.className = 'panel-checkbox';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.tabIndex = -1;
+        checkbox.checked = setPlannerMoves.includes(move.id);
+        checkbox.addEventListener('change', () => {
+            setPlannerMoves = HARMONIC_MOVES
+                .filter(m => m.id === move.id ? checkbox.checked : setPlannerMoves.includes(m.id))
+                .map(m => m.id);
+            checkbox.blur();
         });
         
-        // Restart notes at new octave
-        activeNotes.forEach(note => {
-            const noteName = getNoteFromFrequency(note.baseFreq);
-            if (noteName) {
-                // Find the held note info if it exists
-                const heldNote = heldNotes.find(hn => 
-                    (typeof hn === 'object' ? hn.note : hn) === noteName
-                );
-                
-                if (heldNote && typeof heldNote === 'object' && heldNote.source === 'wheel') {
-                    playNoteFromWheel(note.baseFreq, noteName, heldNote.type);
-                } else {
-                    playNote(note.baseFreq);
-                }
-            }
+        item.appendChild(checkbox);
+        item.appendChild(document.createTextNode(move.label));
+        movesContainer.appendChild(item);
+    });
+    
+    input.addEventListener('input', () => {
+        setTracks = parseSetList(input.value);
+        updateSetEndpointOptions();
+        clearPlannedSet();
+    });
+    
+    importButton.addEventListener('click', () => {
+        fileInput.click();
+        importButton.blur();
+    });
+    
+    fileInput.addEventListener('change', async () => {
+        if (fileInput.files[0]) {
+            input.value = await fileInput.files[0].text();
+            setTracks = parseSetList(input.value);
+            updateSetEndpointOptions();
+            clearPlannedSet();
+        }
+        fileInput.value = '';
+    });
+    
+    planButton.addEventListener('click', () => {
+        planSet();
+        planButton.blur();
+    });
+    
+    clearButton.addEventListener('click', () => {
+        clearPlannedSet();
+        clearButton.blur();
+    });
+    
+    ['set-start', 'set-end', 'set-direction'].forEach(id => {
+        const select = document.getElementById(id);
+        select.addEventListener('change', () => select.blur());
+    });
+}
+
+// Fill the start/end track selects from the parsed track list
+function updateSetEndpointOptions() {
+    ['set-start', 'set-end'].forEach(id => {
+        const select = document.getElementById(id);
+        const previous = select.value;
+        select.innerHTML = '<option value="">Any</option>';
+        setTracks.forEach((track, index) => {
+            if (!track.key) return;
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = track.name;
+            select.appendChild(option);
         });
+        select.value = Array.from(select.options).some(option => option.value === previous) ? previous : '';
+    });
+}
+
+// Drop the planned order and its path on the wheel
+// (called whenever the track list changes, since the order holds indexes into the old list)
+function clearPlannedSet() {
+    plannedSet = null;
+    document.getElementById('set-status').textContent = '';
+    renderPlannedSet();
+}
+
+// Plan the set from the current track list and options
+function planSet() {
+    const status = document.getElementById('set-status');
+    const startValue = document.getElementById('set-start').value;
+    const endValue = document.getElementById('set-end').value;
+    
+    if (setTracks.filter(track => track.key).length < 2) {
+        plannedSet = null;
+        status.textContent = 'Add at least two tracks with a key';
+        renderPlannedSet();
+        return;
     }
     
-    octaveDownBtn.addEventListener('click', () => {
-        if (octaveShift > MIN_OCTAVE_SHIFT) {
-            const oldOctaveShift = octaveShift;
-            octaveShift--;
-            shiftActiveNotes(oldOctaveShift, octaveShift);
-            updateOctaveDisplay();
+    plannedSet = planHarmonicSet(setTracks, {
+        moves: setPlannerMoves,
+        direction: document.getElementById('set-direction').value,
+        startIndex: startValue === '' ? null : parseInt(startValue, 10),
+        endIndex: endValue === '' ? null : parseInt(endValue, 10)
+    });
+    
+    const keyless = setTracks.filter(track => !track.key).length;
+    if (plannedSet.complete) {
+        status.textContent = `All ${plannedSet.order.length} tracks placed`;
+    } else {
+        status.textContent = `No full path with these options - longest found has ${plannedSet.order.length} tracks`;
+    }
+    if (keyless > 0) {
+        status.textContent += ` (${keyless} without a readable key)`;
+    }
+    renderPlannedSet();
+}
+
+// Render the planned order and draw it on the wheel
+function renderPlannedSet() {
+    const result = document.getElementById('set-result');
+    result.innerHTML = '';
+    drawSetPath();
+    if (!plannedSet) return;
+    
+    plannedSet.order.forEach((trackIndex, position) => {
+        const track = setTracks[trackIndex];
+        
+        if (position > 0) {
+            // The move the plan was made with, not one found with the moves ticked now
+            const move = plannedSet.moves[position - 1];
+            const transition = document.createElement('li');
+            transition.className = 'set-transition';
+            transition.textContent = `↓ ${TRANSITION_LABELS[move] || move}`;
+            result.appendChild(transition);
+        }
+        
+        const row = document.createElement('li');
+        row.className = 'library-track';
+        
+        const keyBadge = document.createElement('span');
+        keyBadge.className = 'library-key';
+        keyBadge.textContent = (notationType === 'camelot' ? camelotKeys : openKeys)[track.key.note][track.key.type];
+        keyBadge.style.backgroundColor = keyColors[track.key.note][track.key.type];
+        
+        const name = document.createElement('span');
+        name.className = 'library-track-info';
+        name.textContent = `${position + 1}. ${track.name}`;
+        
+        row.appendChild(keyBadge);
+        row.appendChild(name);
+        result.appendChild(row);
+    });
+    
+    plannedSet.unplaced.forEach(trackIndex => {
+        const row = document.createElement('li');
+        row.className = 'library-more';
+        row.textContent = `Not placed: ${setTracks[trackIndex].name}`;
+        result.appendChild(row);
+    });
+}
+
+// Get the point in the middle of a wheel segment
+function getSegmentCenter(key) {
+    const segment = wheelSegments[key];
+    const angle = (segment.startAngle + segment.endAngle) / 2;
+    const radius = (segment.outerRadius + segment.innerRadius) / 2;
+    return { x: centerX + radius * Math.cos(angle), y: centerY + radius * Math.sin(angle) };
+}
+
+// Draw the planned set as numbered arrows between wheel segments
+function drawSetPath() {
+    wheelSetPath.innerHTML = '';
+    if (!plannedSet) return;
+    
+    for (let position = 1; position < plannedSet.order.length; position++) {
+        const fromKey = setTracks[plannedSet.order[position - 1]].key;
+        const toKey = setTracks[plannedSet.order[position]].key;
+        if (fromKey.note === toKey.note && fromKey.type === toKey.type) continue;
+        
+        const from = getSegmentCenter(`${fromKey.note}-${fromKey.type}`);
+        const to = getSegmentCenter(`${toKey.note}-${toKey.type}`);
+        
+        // Curve towards the wheel center so arrows don't run over the labels
+        const control = {
+            x: centerX + ((from.x + to.x) / 2 - centerX) * 0.6,
+            y: centerY + ((from.y + to.y) / 2 - centerY) * 0.6
+        };
+        
+        const arrow = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        arrow.setAttribute('d', `M ${from.x} ${from.y} Q ${control.x} ${control.y} ${to.x} ${to.y}`);
+        arrow.setAttribute('class', 'set-path-arrow');
+        arrow.setAttribute('marker-end', 'url(#set-path-arrowhead)');
+        wheelSetPath.appendChild(arrow);
+        
+        // Step number at the middle of the curve
+        const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        label.setAttribute('x', 0.25 * from.x + 0.5 * control.x + 0.25 * to.x);
+        label.setAttribute('y', 0.25 * from.y + 0.5 * control.y + 0.25 * to.y);
+        label.setAttribute('class', 'set-path-step');
+        label.textContent = position;
+        wheelSetPath.appendChild(label);
+    }
+}
+
+// Setup the key converter: a single key box that shows the key on the wheel,
+// and a bulk column converter
+function setupKeyConverter() {
+    const keyInput = document.getElementById('converter-input');
+    const bulkInput = document.getElementById('converter-bulk-input');
+    const bulkOutput = document.getElementById('converter-bulk-output');
+    const formatSelect = document.getElementById('converter-format');
+    const copyButton = document.getElementById('converter-copy');
+    
+    Object.entries(KEY_FORMATS).forEach(([format, { label }]) => {
+        const option = document.createElement('option');
+        option.value = format;
+        option.textContent = label;
+        formatSelect.appendChild(option);
+    });
+    formatSelect.value = notationType === 'openkey' ? 'openkey' : 'camelot';
+    
+    keyInput.addEventListener('input', () => {
+        const key = parseKeyString(keyInput.value);
+        renderConvertedKey(key);
+        if (key) {
+            lastPlayedNote = { note: key.note, source: 'parsed', type: key.type };
+            updateCenterDisplay();
+        }
+    });
+    
+    const convertBulk = () => {
+        bulkOutput.value = bulkInput.value
+            .split(/\r?\n/)
+            .map(line => line.trim() ? convertKeyString(line, formatSelect.value) || '?' : '')
+            .join('\n');
+    };
+    bulkInput.addEventListener('input', convertBulk);
+    formatSelect.addEventListener('change', () => {
+        convertBulk();
+        formatSelect.blur();
+    });
+    
+    const showCopyResult = (text) => {
+        copyButton.textContent = text;
+        setTimeout(() => {
+            copyButton.textContent = 'Copy Converted Column';
+        }, 1500);
+    };
+    
+    // Without clipboard access the column is left selected so it can be copied by hand
+    const copyBySelection = () => {
+        bulkOutput.select();
+        showCopyResult(document.execCommand('copy') ? 'Copied' : 'Copy Failed - Column Selected');
+    };
+    
+    copyButton.addEventListener('click', () => {
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(bulkOutput.value)
+                .then(() => showCopyResult('Copied'))
+                .catch(copyBySelection);
+        } else {
+            copyBySelection();
         }
+        copyButton.blur();
+    });
+}
+
+// List a parsed key in every known format
+function renderConvertedKey(key) {
+    const result = document.getElementById('converter-result');
+    result.innerHTML = '';
+    if (!key) return;
+    
+    Object.entries(KEY_FORMATS).forEach(([format, { label }]) => {
+        const row = document.createElement('div');
+        row.className = 'detection-candidate';
+        row.innerHTML = `<span>${label.replace(/ \(.*\)$/, '')}</span><span class="converter-value">${formatKey(key, format)}</span>`;
+        result.appendChild(row);
+    });
+}
+
+// Show the octave shift next to the octave buttons
+function updateOctaveDisplay() {
+    const octaveDisplay = document.getElementById('octave-display');
+    octaveDisplay.textContent = `Octave: ${octaveShift > 0 ? '+' : ''}${octaveShift}`;
+}
+
+// Change the octave new notes play in
+// Notes already sounding keep their pitch, so a held note isn't cut off mid-phrase
+// (except the pitch calculator reference, which moves so the calculator keeps matching what is heard)
+function setOctaveShift(newOctaveShift) {
+    const previousOctaveShift = octaveShift;
+    octaveShift = Math.min(MAX_OCTAVE_SHIFT, Math.max(MIN_OCTAVE_SHIFT, newOctaveShift));
+    updateOctaveDisplay();
+    updatePianoLabels();
+    if (octaveShift !== previousOctaveShift) {
+        restartPitchReference();
+    }
+}
+
+// Setup octave controls
+function setupOctaveControls() {
+    const octaveDownBtn = document.getElementById('octave-down');
+    const octaveUpBtn = document.getElementById('octave-up');
+    const octaveDisplay = document.getElementById('octave-display');
+    
+    octaveDownBtn.addEventListener('click', () => {
+        setOctaveShift(octaveShift - 1);
         octaveDownBtn.blur();
     });
     
     octaveDisplay.addEventListener('click', () => {
-        const oldOctaveShift = octaveShift;
-        octaveShift = 0;
-        shiftActiveNotes(oldOctaveShift, octaveShift);
-        updateOctaveDisplay();
+        setOctaveShift(0);
     });
     
     octaveUpBtn.addEventListener('click', () => {
-        if (octaveShift < MAX_OCTAVE_SHIFT) {
-            const oldOctaveShift = octaveShift;
-            octaveShift++;
-            shiftActiveNotes(oldOctaveShift, octaveShift);
-            updateOctaveDisplay();
-        }
+        setOctaveShift(octaveShift + 1);
         octaveUpBtn.blur();
     });
     
-    // Make shiftActiveNotes available globally for keyboard controls
-    window.shiftActiveNotes = shiftActiveNotes;
-    window.updateOctaveDisplay = updateOctaveDisplay;
-    
     // Initialize octave display
     updateOctaveDisplay();
 }
@@ -0,0 +1,148 @@
+// Harmonic set planner
+// Orders a track list so every transition is a harmonically compatible move,
+// using the same key relationships as the wheel (getTransitionMove in keytheory.js).
+
+// Upper bound on search steps so large lists can't lock up the page
+const SET_PLANNER_STEP_LIMIT = 200000;
+
+// Parse pasted text or CSV into tracks ({ name, rawKey, key })
+// Each line needs a key field; a header row with a "key" column is also understood.
+function parseSetList(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+    if (lines.length === 0) return [];
+
+    const splitLine = (line) => line.split(/\t|;|,(?=(?:[^"]*"[^"]*")*[^"]*$)/).map(field => field.trim().replace(/^"|"$/g, '').trim());
+
+    // CSV header: use its key column and title/artist columns
+    const header = splitLine(lines[0]).map(field => field.toLowerCase());
+    const keyColumn = header.findIndex(field => field === 'key' || field === 'initial key' || field === 'tonality');
+    if (keyColumn > -1) {
+        const titleColumn = header.findIndex(field => field === 'title' || field === 'name' || field === 'track');
+        const artistColumn = header.indexOf('artist');
+        return lines.slice(1).map(line => {
+            const fields = splitLine(line);
+            const title = titleColumn > -1 ? fields[titleColumn] || '' : '';
+            const artist = artistColumn > -1 ? fields[artistColumn] || '' : '';
+            const rawKey = fields[keyColumn] || '';
+            return {
+                name: artist && title ? `${artist} - ${title}` : title || artist || line,
+                rawKey,
+                key: rawKey ? parseKeyString(rawKey) : null
+            };
+        });
+    }
+
+    // Free text: the last field that reads as a key is the key, the rest is the name
+    return lines.map(line => {
+        const fields = splitLine(line);
+        let keyIndex = -1;
+        for (let i = fields.length - 1; i >= 0; i--) {
+            if (parseKeyString(fields[i])) {
+                keyIndex = i;
+                break;
+            }
+        }
+
+        // "Artist - Title 8A" without a separator
+        if (keyIndex === -1) {
+            const trailing = line.match(/^(.*?)[\s\-–]+(\S+)$/);
+            if (trailing && parseKeyString(trailing[2])) {
+                return { name: trailing[1].trim(), rawKey: trailing[2], key: parseKeyString(trailing[2]) };
+            }
+            return { name: line, rawKey: '', key: null };
+        }
+
+        const name = fields.filter((_, index) => index !== keyIndex).join(', ');
+        return { name: name || line, rawKey: fields[keyIndex], key: parseKeyString(fields[keyIndex]) };
+    });
+}
+
+// Signed Camelot steps a transition takes around the wheel (clockwise is positive)
+// The semitone lift is seven steps clockwise, which getCamelotStep would read as five back.
+function getTransitionStep(fromKey, toKey, move) {
+    const step = getCamelotStep(fromKey, toKey);
+    return move === 'semitone' && step < 0 ? step + 12 : step;
+}
+
+// Find an order of the tracks in which every transition is an allowed move
+// options: { moves, direction ('any' | 'up' | 'down'), startIndex, endIndex }
+// Returns { order, moves, complete, unplaced } - moves[i] is the move from order[i] to order[i + 1],
+// and if no complete order exists, order is the longest one found
+function planHarmonicSet(tracks, options) {
+    const { moves, direction = 'any', startIndex = null, endIndex = null } = options;
+    const candidates = tracks.map((track, index) => index).filter(index => tracks[index].key);
+    const count = tracks.length;
+
+    // Which tracks may follow which, and by which move (null where they can't)
+    const canFollow = tracks.map(() => new Array(count).fill(null));
+    candidates.forEach(from => {
+        candidates.forEach(to => {
+            if (from === to) return;
+            const fromKey = tracks[from].key;
+            const toKey = tracks[to].key;
+            const move = getTransitionMove(fromKey, toKey, moves);
+            if (!move) return;
+            const step = getTransitionStep(fromKey, toKey, move);
+            if (direction === 'up' && step < 0) return;
+            if (direction === 'down' && step > 0) return;
+            canFollow[from][to] = move;
+        });
+    });
+
+    const used = new Array(count).fill(false);
+    const path = [];
+    let best = [];
+    let steps = 0;
+
+    const onwardCount = (index) => candidates.filter(next => !used[next] && canFollow[index][next]).length;
+
+    const search = () => {
+        steps++;
+        if (path.length > best.length) {
+            best = path.slice();
+        }
+        if (path.length === candidates.length) {
+            return endIndex === null || path[path.length - 1] === endIndex;
+        }
+        if (steps > SET_PLANNER_STEP_LIMIT) return false;
+
+        const last = path[path.length - 1];
+        // Try the tracks with the fewest onward options first (Warnsdorff's rule)
+        const nextOptions = candidates
+            .filter(next => !used[next] && canFollow[last][next])
+            .filter(next => next !== endIndex || path.length === candidates.length - 1)
+            .sort((a, b) => onwardCount(a) - onwardCount(b));
+
+        for (const next of nextOptions) {
+            used[next] = true;
+            path.push(next);
+            if (search()) return true;
+            path.pop();
+            used[next] = false;
+        }
+        return false;
+    };
+
+    const starts = startIndex !== null ? [startIndex] : candidates.slice().sort((a, b) => onwardCount(a) - onwardCount(b));
+    for (const start of starts) {
+        if (!tracks[start] || !tracks[start].key) continue;
+        used[start] = true;
+        path.push(start);
+        const found = search();
+        if (found) {
+            best = path.slice();
+            break;
+        }
+        path.pop();
+        used[start] = false;
+        if (steps > SET_PLANNER_STEP_LIMIT) break;
+    }
+
+    const placed = new Set(best);
+    return {
+        order: best,
+        moves: best.slice(1).map((to, position) => canFollow[best[position]][to]),
+        complete: best.length === candidates.length && candidates.length > 0,
+        unplaced: tracks.map((track, index) => index).filter(index => !placed.has(index))
+    };
+}
@@ -0,0 +1,315 @@
+// Settings
+// Versioned settings schema with defaults and validation, named profiles and JSON export/import.
+// Everything is stored under one localStorage key as { version, activeProfile, profiles }, and
+// older stored versions are migrated on load. Values that are missing or invalid get their default.
+
+const SETTINGS_STORAGE_KEY = 'djKeyToolSettings';
+const SETTINGS_VERSION = 2;
+const DEFAULT_PROFILE_NAME = 'Default';
+
+// Value checks used by the schema
+const isBoolean = value => typeof value === 'boolean';
+const isString = value => typeof value === 'string';
+const isOneOf = (...values) => value => values.includes(value);
+const isNumberIn = (min, max) => value => typeof value === 'number' && isFinite(value) && value >= min && value <= max;
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Own properties only, so names like "constructor" or "__proto__" aren't taken for options or profiles
+const hasOwn = (object, name) => Object.prototype.hasOwnProperty.call(object, name);
+
+// Every saved option with its default and check
+const SETTINGS_SCHEMA = {
+    majorOnTop: { default: false, valid: isBoolean },
+    volume: { default: 0.7, valid: isNumberIn(0, 1) },
+    notationType: { default: 'camelot', valid: isOneOf('camelot', 'openkey') },
+    useFlats: { default: false, valid: isBoolean },
+    chordVoicing: { default: 'triad', valid: isOneOf('triad', 'seventh') },
+    chordInversion: { default: 0, valid: isOneOf(0, 1, 2, 3) },
+    harmonicMoves: {
+        default: ['adjacent', 'relative'],
+        valid: value => Array.isArray(value) && value.every(id => KeyTheory.HARMONIC_MOVES.some(move => move.id === id))
+    },
+    tagKeyFormat: { default: 'notation', valid: isOneOf('notation', 'musical') },
+    midiInputChannel: { default: 0, valid: value => Number.isInteger(value) && value >= 0 && value <= 16 },
+    midiOutputChannel: { default: 1, valid: value => Number.isInteger(value) && value >= 1 && value <= 16 },
+    liveSmoothing: { default: 'normal', valid: isOneOf('fast', 'normal', 'slow') },
+    referencePitch: { default: 440, valid: isNumberIn(415, 466) },
+    latchMode: { default: false, valid: isBoolean },
+    droneVoicing: { default: 'root', valid: isOneOf('root', 'fifth', 'chord') }, // DRONE_VOICINGS (drone.js)
+    droneLevel: { default: 0.7, valid: isNumberIn(0, 1) },
+    trackLevel: { default: 0.8, valid: isNumberIn(0, 1) },
+    toneLevel: { default: 1, valid: isNumberIn(0, 1) },
+    synthVoice: { default: 'sine', valid: isOneOf('sine', 'triangle', 'saw', 'square', 'epiano', 'piano') }, // SYNTH_VOICES (synth.js)
+    synthAttack: { default: 0.007, valid: isNumberIn(0.001, 1) },
+    synthDecay: { default: 0.1, valid: isNumberIn(0.01, 2) },
+    synthSustain: { default: 1, valid: isNumberIn(0, 1) },
+    synthRelease: { default: 0.05, valid: isNumberIn(0.01, 3) },
+    synthDetune: { default: 10, valid: isNumberIn(0, 50) },
+    synthUnison: { default: 1, valid: isOneOf(1, 2, 3, 5) },
+    modePlayback: { default: 'chord', valid: isOneOf('chord', 'scale') },
+    showScaleDegrees: { default: true, valid: isBoolean },
+    pianoOctaves: { default: 1, valid: isOneOf(1, 2, 3, 4) },
+    pianoStartNote: { default: 'C', valid: isOneOf('C', 'D', 'E', 'F', 'G', 'A', 'B') },
+    keyLayout: { default: 'qwerty', valid: isOneOf('qwerty', 'azerty', 'qwertz') },
+    keyBindings: { default: {}, valid: isPlainObject } // Merged over the default bindings (keybindings.js)
+};
+
+// Store migrations: SETTINGS_MIGRATIONS[n] turns a version n store into version n + 1
+const SETTINGS_MIGRATIONS = {
+    // Version 1 was the plain settings object without a version or profiles
+    1: data => ({ version: 2, activeProfile: DEFAULT_PROFILE_NAME, profiles: { [DEFAULT_PROFILE_NAME]: data } })
+};
+
+// Settings with every option at its default
+function getDefaultSettings() {
+    return validateSettings({});
+}
+
+// Complete settings from saved values: known options only, invalid or missing ones at their default
+function validateSettings(values) {
+    const source = isPlainObject(values) ? values : {};
+    const settings = {};
+    Object.entries(SETTINGS_SCHEMA).forEach(([name, option]) => {
+        const value = option.valid(source[name]) ? source[name] : option.default;
+        settings[name] = JSON.parse(JSON.stringify(value));
+    });
+    return settings;
+}
+
+// Bring stored data up to the current version and validate every profile
+function migrateSettingsStore(data) {
+    let store = isPlainObject(data) ? data : {};
+    let version = Number.isInteger(store.version) ? store.version : 1;
+    while (version < SETTINGS_VERSION && SETTINGS_MIGRATIONS[version]) {
+        store = SETTINGS_MIGRATIONS[version](store);
+        version++;
+    }
+
+    // Profile names come from the user and from imported files, so they key an object without a prototype
+    const profiles = Object.create(null);
+    if (version === SETTINGS_VERSION && isPlainObject(store.profiles)) {
+        Object.entries(store.profiles).forEach(([name, values]) => {
+            profiles[name] = validateSettings(values);
+        });
+    }
+    if (Object.keys(profiles).length === 0) {
+        profiles[DEFAULT_PROFILE_NAME] = getDefaultSettings();
+    }
+
+    const activeProfile = hasOwn(profiles, store.activeProfile) ? store.activeProfile : Object.keys(profiles)[0];
+    return { version: SETTINGS_VERSION, activeProfile, profiles };
+}
+
+// Read the store from localStorage (corrupt data starts over with the defaults)
+function readSettingsStore() {
+    let data = null;
+    try {
+        data = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+    } catch (e) {
+        data = null;
+    }
+    return migrateSettingsStore(data);
+}
+
+function writeSettingsStore() {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settingsStore));
+}
+
+// Loaded once, and written back straight away so older stored versions are only migrated once
+const settingsStore = readSettingsStore();
+writeSettingsStore();
+
+// Options set by a shared link (deeplink.js) for this visit only
+const settingsOverrides = {};
+
+// Use options for this visit without saving them
+// Returns the valid ones
+function setSettingsOverrides(values) {
+    const accepted = {};
+    Object.entries(values).forEach(([name, value]) => {
+        if (hasOwn(SETTINGS_SCHEMA, name) && SETTINGS_SCHEMA[name].valid(value)) {
+            accepted[name] = value;
+        }
+    });
+    Object.assign(settingsOverrides, accepted);
+    return accepted;
+}
+
+// Settings of the active profile, with the options of a shared link on top
+function loadSettings() {
+    return { ...settingsStore.profiles[settingsStore.activeProfile], ...settingsOverrides };
+}
+
+// Save settings to the active profile
+// (options still at the value a shared link set keep their saved value, changing one ends its override)
+function saveSettings(values) {
+    const saved = settingsStore.profiles[settingsStore.activeProfile];
+    const merged = { ...values };
+    Object.keys(settingsOverrides).forEach(name => {
+        if (values[name] === settingsOverrides[name]) {
+            merged[name] = saved[name];
+        } else {
+            delete settingsOverrides[name];
+        }
+    });
+    settingsStore.profiles[settingsStore.activeProfile] = validateSettings(merged);
+    writeSettingsStore();
+}
+
+// Switch profiles (the page reloads to apply every option of the new profile)
+function switchSettingsProfile(name) {
+    if (!hasOwn(settingsStore.profiles, name) || name === settingsStore.activeProfile) return;
+    settingsStore.activeProfile = name;
+    writeSettingsStore();
+    location.reload();
+}
+
+// Save the active profile's settings under a new or existing name and make it active
+function saveSettingsProfileAs(name) {
+    settingsStore.profiles[name] = validateSettings(settingsStore.profiles[settingsStore.activeProfile]);
+    settingsStore.activeProfile = name;
+    writeSettingsStore();
+}
+
+// Delete the active profile and switch to the first one left (the last profile can't be deleted)
+function deleteSettingsProfile() {
+    const names = Object.keys(settingsStore.profiles);
+    if (names.length < 2) return;
+    delete settingsStore.profiles[settingsStore.activeProfile];
+    settingsStore.activeProfile = Object.keys(settingsStore.profiles)[0];
+    writeSettingsStore();
+    location.reload();
+}
+
+// Export file contents for the active profile
+function createSettingsExport() {
+    return JSON.stringify({
+        app: 'DJKeyTool',
+        version: SETTINGS_VERSION,
+        profile: settingsStore.activeProfile,
+        settings: settingsStore.profiles[settingsStore.activeProfile]
+    }, null, 2);
+}
+
+// Read an exported settings file (or a plain version 1 settings object)
+// Returns { name, settings }, throws if the file holds no settings
+function parseSettingsExport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('not a JSON file');
+    }
+    if (!isPlainObject(data)) {
+        throw new Error('no settings found');
+    }
+
+    const values = isPlainObject(data.settings) ? data.settings : data;
+    if (!Object.keys(values).some(name => hasOwn(SETTINGS_SCHEMA, name))) {
+        throw new Error('no settings found');
+    }
+    if (Number.isInteger(data.version) && data.version > SETTINGS_VERSION) {
+        throw new Error('made by a newer version of DJKeyTool');
+    }
+
+    const name = isString(data.profile) && data.profile.trim() ? data.profile.trim() : 'Imported';
+    return { name, settings: validateSettings(values) };
+}
+
+// Download the active profile as a JSON file
+function exportSettingsFile() {
+    persistSettings();
+    const url = URL.createObjectURL(new Blob([createSettingsExport()], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `djkeytool-${settingsStore.activeProfile.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Import a settings file as a profile (replacing one with the same name) and switch to it
+async function importSettingsFile(file) {
+    const status = document.getElementById('profile-status');
+    try {
+        const { name, settings } = parseSettingsExport(await file.text());
+        settingsStore.profiles[name] = settings;
+        settingsStore.activeProfile = name;
+        writeSettingsStore();
+        location.reload();
+    } catch (e) {
+        status.textContent = `Could not import ${file.name}: ${e.message}`;
+    }
+}
+
+// Setup the profile controls in the options panel
+function setupSettingsProfiles() {
+    const profileSelect = document.getElementById('settings-profile');
+    const nameInput = document.getElementById('profile-name');
+    const saveButton = document.getElementById('profile-save');
+    const deleteButton = document.getElementById('profile-delete');
+    const exportButton = document.getElementById('profile-export');
+    const importButton = document.getElementById('profile-import');
+    const fileInput = document.getElementById('profile-file-input');
+    const status = document.getElementById('profile-status');
+
+    const renderProfiles = () => {
+        profileSelect.innerHTML = '';
+        Object.keys(settingsStore.profiles).forEach(name => {
+            profileSelect.appendChild(new Option(name, name));
+        });
+        profileSelect.value = settingsStore.activeProfile;
+        deleteButton.disabled = Object.keys(settingsStore.profiles).length < 2;
+    };
+    renderProfiles();
+
+    profileSelect.addEventListener('change', () => {
+        switchSettingsProfile(profileSelect.value);
+        profileSelect.blur();
+    });
+
+    const saveProfile = () => {
+        const name = nameInput.value.trim();
+        if (!name) return;
+        persistSettings();
+        saveSettingsProfileAs(name);
+        nameInput.value = '';
+        status.textContent = `Saved profile ${name}`;
+        renderProfiles();
+    };
+
+    saveButton.addEventListener('click', () => {
+        saveProfile();
+        saveButton.blur();
+    });
+
+    nameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            saveProfile();
+            nameInput.blur();
+        }
+    });
+
+    deleteButton.addEventListener('click', () => {
+        deleteSettingsProfile();
+        deleteButton.blur();
+    });
+
+    exportButton.addEventListener('click', () => {
+        exportSettingsFile();
+        exportButton.blur();
+    });
+
+    importButton.addEventListener('click', () => {
+        fileInput.click();
+        importButton.blur();
+    });
+
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) {
+            importSettingsFile(fileInput.files[0]);
+        }
+        fileInput.value = '';
+    });
+}
@@ -0,0 +1,65 @@
+// Service worker
+// Precaches the whole app so it installs and runs offline. Bump CACHE_VERSION whenever an asset
+// changes: the changed worker then installs next to the old one and the page offers a reload.
+
+const CACHE_VERSION = 2;
+const CACHE_NAME = `djkeytool-v${CACHE_VERSION}`;
+
+const PRECACHE_ASSETS = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'icon.svg',
+    'favicon.png',
+    'keytheory.js',
+    'settings.js',
+    'deeplink.js',
+    'keydetect.js',
+    'library.js',
+    'tagwriter.js',
+    'setplanner.js',
+    'synth.js',
+    'drone.js',
+    'midi.js',
+    'liveinput.js',
+    'pitchcalc.js',
+    'player.js',
+    'scales.js',
+    'modes.js',
+    'chords.js',
+    'keybindings.js',
+    'offline.js',
+    'wheelaccess.js',
+    'script.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_ASSETS)));
+});
+
+// Drop the caches of older versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys().then(names => Promise.all(
+        names.filter(name => name.startsWith('djkeytool-') && name !== CACHE_NAME).map(name => caches.delete(name))
+    )).then(() => self.clients.claim()));
+});
+
+// The page asks the waiting worker to take over when the user accepts an update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+// Serve the app from the cache, and the cached page for any navigation (shared #/key links included)
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(caches.match('index.html').then(cached => cached || fetch(request)));
+        return;
+    }
+    event.respondWith(caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request)));
+});
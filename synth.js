@@ -0,0 +1,252 @@
+// Synth voices
+// Builds the sound for one pitch from the selected timbre, shaped by an ADSR envelope,
+// with optional detuned unison copies to thicken it against a playing track.
+
+// Available timbres (level evens out their loudness against the sine)
+const SYNTH_VOICES = {
+    'sine': { label: 'Sine', level: 1 },
+    'triangle': { label: 'Triangle', level: 0.9 },
+    'saw': { label: 'Saw (filtered)', level: 0.5 },
+    'square': { label: 'Square (filtered)', level: 0.45 },
+    'epiano': { label: 'Electric Piano', level: 0.8 },
+    'piano': { label: 'Piano', level: 0.9 }
+};
+
+const SYNTH_UNISON_COUNTS = [1, 2, 3, 5];
+
+// Partials above this frequency are left out
+const SYNTH_MAX_PARTIAL_FREQUENCY = 16000;
+
+// Voice state (defaults match the original plain sine with a 7 ms attack and 50 ms release)
+let synthVoice = 'sine';
+let synthAttack = 0.007; // seconds
+let synthDecay = 0.1; // seconds
+let synthSustain = 1; // level 0..1
+let synthRelease = 0.05; // seconds
+let synthDetune = 10; // cents between the outermost unison copies
+let synthUnison = 1;
+
+// Harmonic body of the electric piano, created on first use
+let electricPianoWave = null;
+
+function getElectricPianoWave() {
+    if (!electricPianoWave) {
+        const amplitudes = [0, 1, 0.35, 0.12, 0.08, 0.03];
+        electricPianoWave = audioContext.createPeriodicWave(new Float32Array(amplitudes.length), new Float32Array(amplitudes));
+    }
+    return electricPianoWave;
+}
+
+// Build the oscillators and filters of one timbre into an output node
+// Sustained timbres leave out the decay of the struck voices, so they sound for as long as they are held
+// Returns { sources, nodes } so the voice can stop and disconnect them later
+function buildTimbre(voiceId, frequency, detune, output, now, sustained = false) {
+    const sources = [];
+    const nodes = [];
+
+    const addOscillator = (type, oscillatorFrequency, destination) => {
+        const oscillator = audioContext.createOscillator();
+        if (type === 'custom') {
+            oscillator.setPeriodicWave(getElectricPianoWave());
+        } else {
+            oscillator.type = type;
+        }
+        oscillator.frequency.value = oscillatorFrequency;
+        oscillator.detune.value = detune;
+        oscillator.connect(destination);
+        sources.push(oscillator);
+        return oscillator;
+    };
+
+    const addGain = (value, destination) => {
+        const gainNode = audioContext.createGain();
+        gainNode.gain.setValueAtTime(value, now);
+        gainNode.connect(destination);
+        nodes.push(gainNode);
+        return gainNode;
+    };
+
+    switch (voiceId) {
+        case 'triangle':
+            addOscillator('triangle', frequency, output);
+            break;
+        case 'saw':
+        case 'square': {
+            // The filter opens on the attack then closes down so the pitch stays clear without buzzing
+            const filter = audioContext.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.Q.value = 1;
+            filter.frequency.setValueAtTime(Math.min(frequency * 10, SYNTH_MAX_PARTIAL_FREQUENCY), now);
+            filter.frequency.setTargetAtTime(Math.min(frequency * 4, SYNTH_MAX_PARTIAL_FREQUENCY), now, 0.15);
+            filter.connect(output);
+            nodes.push(filter);
+            addOscillator(voiceId === 'saw' ? 'sawtooth' : 'square', frequency, filter);
+            break;
+        }
+        case 'epiano': {
+            // Harmonic body that slowly softens, plus a fast-fading "tine" partial for the bark
+            const body = addGain(1, output);
+            if (!sustained) {
+                body.gain.setTargetAtTime(0.5, now, 1.5);
+            }
+            addOscillator('custom', frequency, body);
+
+            if (frequency * 7 < SYNTH_MAX_PARTIAL_FREQUENCY) {
+                const tine = addGain(0.3, output);
+                tine.gain.setTargetAtTime(0, now, 0.08);
+                addOscillator('sine', frequency * 7, tine);
+            }
+            break;
+        }
+        case 'piano': {
+            // Slightly stretched partials that die away faster the higher they are, like a struck string
+            const ringTime = 3 * Math.sqrt(261.63 / frequency);
+            for (let partial = 1; partial <= 6; partial++) {
+                const partialFrequency = frequency * partial * Math.sqrt(1 + 0.0004 * partial * partial);
+                if (partialFrequency > SYNTH_MAX_PARTIAL_FREQUENCY) break;
+
+                const partialGain = addGain(0.6 / Math.pow(partial, 1.2), output);
+                if (!sustained) {
+                    partialGain.gain.setTargetAtTime(0, now, ringTime / partial);
+                }
+                addOscillator('sine', partialFrequency, partialGain);
+            }
+            break;
+        }
+        default:
+            addOscillator('sine', frequency, output);
+    }
+
+    return { sources, nodes };
+}
+
+// Start a voice for one pitch at the given peak gain
+// A sustained voice (used by drones) holds the peak instead of decaying to the sustain level
+// or fading out like the piano voices
+// Returns { frequency, gainNode, sources, nodes }
+function createSynthVoice(frequency, gain, destination, sustained = false) {
+    const now = audioContext.currentTime;
+    const voiceDefinition = SYNTH_VOICES[synthVoice] || SYNTH_VOICES.sine;
+
+    // ADSR envelope, starting from zero to avoid pops
+    const gainNode = audioContext.createGain();
+    gainNode.connect(destination);
+    gainNode.gain.value = 0;
+    gainNode.gain.setValueAtTime(0, now);
+    gainNode.gain.linearRampToValueAtTime(gain, now + synthAttack);
+    gainNode.gain.linearRampToValueAtTime(sustained ? gain : gain * synthSustain, now + synthAttack + synthDecay);
+
+    // Unison copies are spread evenly across the detune range
+    const mixNode = audioContext.createGain();
+    mixNode.gain.value = voiceDefinition.level / Math.sqrt(synthUnison);
+    mixNode.connect(gainNode);
+
+    const sources = [];
+    const nodes = [mixNode];
+    for (let copy = 0; copy < synthUnison; copy++) {
+        const detune = synthUnison > 1 ? synthDetune * (copy / (synthUnison - 1) - 0.5) : 0;
+        const timbre = buildTimbre(synthVoice, frequency, detune, mixNode, now, sustained);
+        sources.push(...timbre.sources);
+        nodes.push(...timbre.nodes);
+    }
+
+    sources.forEach(source => source.start(now));
+
+    return { frequency, gainNode, sources, nodes };
+}
+
+// Release a voice and clean up its nodes once it has faded out
+function releaseSynthVoice(voice) {
+    const { gainNode, sources, nodes } = voice;
+    const now = audioContext.currentTime;
+    const currentValue = gainNode.gain.value;
+
+    // Cancel any scheduled parameter changes and hold the current level
+    gainNode.gain.cancelScheduledValues(now);
+    gainNode.gain.setValueAtTime(currentValue, now);
+
+    // Use linear ramp for Firefox compatibility
+    // Firefox sometimes has issues with exponentialRampToValueAtTime
+    gainNode.gain.linearRampToValueAtTime(0, now + synthRelease);
+
+    setTimeout(() => {
+        try {
+            sources.forEach(source => {
+                source.stop();
+                source.disconnect();
+            });
+            nodes.forEach(node => node.disconnect());
+            gainNode.disconnect();
+        } catch (e) {
+            // Ignore errors if already stopped/disconnected
+        }
+    }, synthRelease * 1000 + 150);
+}
+
+// Show a slider value with its unit
+function formatSynthValue(id, value) {
+    switch (id) {
+        case 'synth-sustain':
+            return `${Math.round(value * 100)}%`;
+        case 'synth-detune':
+            return `${Math.round(value)} ct`;
+        default:
+            return value < 1 ? `${Math.round(value * 1000)} ms` : `${value.toFixed(2)} s`;
+    }
+}
+
+// Setup synth voice options
+function setupSynth() {
+    const voiceSelect = document.getElementById('synth-voice');
+    const unisonSelect = document.getElementById('synth-unison');
+
+    synthVoice = SYNTH_VOICES[settings.synthVoice] ? settings.synthVoice : 'sine';
+    synthUnison = settings.synthUnison;
+
+    Object.entries(SYNTH_VOICES).forEach(([id, voice]) => {
+        voiceSelect.appendChild(new Option(voice.label, id));
+    });
+    voiceSelect.value = synthVoice;
+
+    SYNTH_UNISON_COUNTS.forEach(count => {
+        unisonSelect.appendChild(new Option(count === 1 ? 'Off' : `${count} voices`, count));
+    });
+    unisonSelect.value = synthUnison;
+
+    voiceSelect.addEventListener('change', () => {
+        synthVoice = voiceSelect.value;
+        persistSettings();
+        voiceSelect.blur();
+    });
+
+    unisonSelect.addEventListener('change', () => {
+        synthUnison = parseInt(unisonSelect.value, 10);
+        persistSettings();
+        unisonSelect.blur();
+    });
+
+    // Envelope and detune sliders
+    const sliders = {
+        'synth-attack': { setting: 'synthAttack', get: () => synthAttack, set: value => { synthAttack = value; } },
+        'synth-decay': { setting: 'synthDecay', get: () => synthDecay, set: value => { synthDecay = value; } },
+        'synth-sustain': { setting: 'synthSustain', get: () => synthSustain, set: value => { synthSustain = value; } },
+        'synth-release': { setting: 'synthRelease', get: () => synthRelease, set: value => { synthRelease = value; } },
+        'synth-detune': { setting: 'synthDetune', get: () => synthDetune, set: value => { synthDetune = value; } }
+    };
+
+    Object.entries(sliders).forEach(([id, slider]) => {
+        const input = document.getElementById(id);
+        const valueLabel = document.getElementById(`${id}-value`);
+        slider.set(settings[slider.setting]);
+        input.value = slider.get();
+        valueLabel.textContent = formatSynthValue(id, slider.get());
+
+        input.addEventListener('input', () => {
+            slider.set(parseFloat(input.value));
+            valueLabel.textContent = formatSynthValue(id, slider.get());
+            persistSettings();
+        });
+
+        input.addEventListener('change', () => input.blur());
+    });
+}
@@ -0,0 +1,526 @@
+// Audio file key tagging
+// Writes a key into a copy of an audio file's tags without touching the audio data:
+// ID3v2 TKEY (MP3), INITIALKEY Vorbis comment (FLAC, Ogg Vorbis/Opus) and the
+// iTunes-style "----:com.apple.iTunes:initialkey" atom (M4A/MP4).
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// Read a big-endian unsigned 32-bit integer
+function readUint32BE(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+// Write a big-endian unsigned 32-bit integer
+function writeUint32BE(bytes, offset, value) {
+    bytes[offset] = (value >>> 24) & 0xff;
+    bytes[offset + 1] = (value >>> 16) & 0xff;
+    bytes[offset + 2] = (value >>> 8) & 0xff;
+    bytes[offset + 3] = value & 0xff;
+}
+
+// Read a little-endian unsigned 32-bit integer
+function readUint32LE(bytes, offset) {
+    return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+// Encode a little-endian unsigned 32-bit integer
+function uint32LE(value) {
+    return new Uint8Array([value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff]);
+}
+
+// Encode a big-endian unsigned 32-bit integer
+function uint32BE(value) {
+    const bytes = new Uint8Array(4);
+    writeUint32BE(bytes, 0, value);
+    return bytes;
+}
+
+// Read an ASCII string of the given length
+function readAscii(bytes, offset, length) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+// Join byte arrays into one
+function concatBytes(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+// Work out the container format from the file's leading bytes
+function detectTagFormat(bytes) {
+    if (readAscii(bytes, 0, 3) === 'ID3') return 'mp3';
+    if (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0) return 'mp3';
+    if (readAscii(bytes, 0, 4) === 'fLaC') return 'flac';
+    if (readAscii(bytes, 0, 4) === 'OggS') return 'ogg';
+    if (readAscii(bytes, 4, 4) === 'ftyp') return 'mp4';
+    return null;
+}
+
+// --- ID3v2 (MP3) ---
+
+// Read a 28-bit syncsafe integer
+function readSyncsafe(bytes, offset) {
+    return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+}
+
+// Encode a 28-bit syncsafe integer
+function syncsafe(value) {
+    return new Uint8Array([(value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f]);
+}
+
+// Undo tag-level unsynchronisation (every 0xFF 0x00 becomes 0xFF)
+function removeUnsynchronisation(bytes) {
+    const output = [];
+    for (let i = 0; i < bytes.length; i++) {
+        output.push(bytes[i]);
+        if (bytes[i] === 0xff && bytes[i + 1] === 0x00) {
+            i++;
+        }
+    }
+    return new Uint8Array(output);
+}
+
+// Encode the text of an ID3v2 text frame: an encoding byte followed by the text
+// ISO-8859-1 (0) when the text fits in it, as every player reads that, otherwise UTF-8 (3) in an
+// ID3v2.4 tag or UTF-16 with a byte order mark (1) in an ID3v2.3 tag, which has no UTF-8
+function encodeId3Text(value, version) {
+    if (/^[\u0000-\u00ff]*$/.test(value)) {
+        return concatBytes([new Uint8Array([0]), Uint8Array.from(value, char => char.charCodeAt(0))]);
+    }
+    if (version === 4) {
+        return concatBytes([new Uint8Array([3]), textEncoder.encode(value)]);
+    }
+
+    const text = new Uint8Array(2 + value.length * 2);
+    text[0] = 0xff;
+    text[1] = 0xfe;
+    for (let i = 0; i < value.length; i++) {
+        const code = value.charCodeAt(i);
+        text[2 + i * 2] = code & 0xff;
+        text[3 + i * 2] = code >> 8;
+    }
+    return concatBytes([new Uint8Array([1]), text]);
+}
+
+// Write a TKEY frame into the ID3v2 tag of an MP3, creating an ID3v2.3 tag if there is none
+function writeId3KeyTag(bytes, value) {
+    let version = 3;
+    let frames = [];
+    let audioStart = 0;
+
+    if (readAscii(bytes, 0, 3) === 'ID3') {
+        version = bytes[3];
+        if (version < 3 || version > 4) {
+            throw new Error(`ID3v2.${version} tags are not supported`);
+        }
+        const flags = bytes[5];
+        const tagSize = readSyncsafe(bytes, 6);
+        audioStart = 10 + tagSize + (flags & 0x10 ? 10 : 0);
+
+        let body = bytes.subarray(10, 10 + tagSize);
+        if (version === 3 && flags & 0x80) {
+            body = removeUnsynchronisation(body);
+        }
+
+        // Skip the extended header, it is not carried over
+        let offset = 0;
+        if (flags & 0x40) {
+            offset = version === 4 ? readSyncsafe(body, 0) : readUint32BE(body, 0) + 4;
+        }
+
+        // Copy every frame except an existing TKEY
+        while (offset + 10 <= body.length && body[offset] !== 0) {
+            const frameId = readAscii(body, offset, 4);
+            const frameSize = version === 4 ? readSyncsafe(body, offset + 4) : readUint32BE(body, offset + 4);
+            const frameEnd = offset + 10 + frameSize;
+            if (frameEnd > body.length) break;
+            if (frameId !== 'TKEY') {
+                frames.push(body.slice(offset, frameEnd));
+            }
+            offset = frameEnd;
+        }
+    }
+
+    const content = encodeId3Text(value, version);
+    const frameHeader = concatBytes([
+        textEncoder.encode('TKEY'),
+        version === 4 ? syncsafe(content.length) : uint32BE(content.length),
+        new Uint8Array(2)
+    ]);
+    frames.push(concatBytes([frameHeader, content]));
+
+    const framesBytes = concatBytes(frames);
+    const header = concatBytes([textEncoder.encode('ID3'), new Uint8Array([version, 0, 0]), syncsafe(framesBytes.length)]);
+    return concatBytes([header, framesBytes, bytes.subarray(audioStart)]);
+}
+
+// --- Vorbis comments (FLAC, Ogg) ---
+
+// Parse a Vorbis comment block body into { vendor, comments, end }
+function parseVorbisComments(bytes, offset) {
+    const vendorLength = readUint32LE(bytes, offset);
+    const vendor = bytes.slice(offset + 4, offset + 4 + vendorLength);
+    offset += 4 + vendorLength;
+
+    const count = readUint32LE(bytes, offset);
+    offset += 4;
+
+    const comments = [];
+    for (let i = 0; i < count; i++) {
+        const length = readUint32LE(bytes, offset);
+        comments.push(textDecoder.decode(bytes.subarray(offset + 4, offset + 4 + length)));
+        offset += 4 + length;
+    }
+    return { vendor, comments, end: offset };
+}
+
+// Build a Vorbis comment block body with INITIALKEY replaced
+function buildVorbisComments(vendor, comments, value) {
+    const kept = comments.filter(comment => !/^INITIALKEY=/i.test(comment));
+    kept.push(`INITIALKEY=${value}`);
+
+    const parts = [uint32LE(vendor.length), vendor, uint32LE(kept.length)];
+    kept.forEach(comment => {
+        const encoded = textEncoder.encode(comment);
+        parts.push(uint32LE(encoded.length), encoded);
+    });
+    return concatBytes(parts);
+}
+
+// Write an INITIALKEY comment into a FLAC file's VORBIS_COMMENT block
+function writeFlacKeyTag(bytes, value) {
+    const blocks = [];
+    let offset = 4;
+    let isLast = false;
+
+    while (!isLast && offset + 4 <= bytes.length) {
+        isLast = (bytes[offset] & 0x80) !== 0;
+        const type = bytes[offset] & 0x7f;
+        const length = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+        blocks.push({ type, data: bytes.subarray(offset + 4, offset + 4 + length) });
+        offset += 4 + length;
+    }
+
+    const vendor = textEncoder.encode('DJKeyTool');
+    const commentIndex = blocks.findIndex(block => block.type === 4);
+    if (commentIndex > -1) {
+        const { vendor: existingVendor, comments } = parseVorbisComments(blocks[commentIndex].data, 0);
+        blocks[commentIndex] = { type: 4, data: buildVorbisComments(existingVendor, comments, value) };
+    } else {
+        // New comment block goes right after STREAMINFO
+        blocks.splice(1, 0, { type: 4, data: buildVorbisComments(vendor, [], value) });
+    }
+
+    const parts = [bytes.subarray(0, 4)];
+    blocks.forEach((block, index) => {
+        const last = index === blocks.length - 1 ? 0x80 : 0;
+        const length = block.data.length;
+        parts.push(new Uint8Array([last | block.type, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff]), block.data);
+    });
+    parts.push(bytes.subarray(offset));
+    return concatBytes(parts);
+}
+
+// Ogg page CRC (polynomial 0x04c11db7, no reflection)
+const OGG_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i << 24;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+        }
+        table[i] = crc >>> 0;
+    }
+    return table;
+})();
+
+function oggCrc(bytes) {
+    let crc = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ bytes[i]) & 0xff]) >>> 0;
+    }
+    return crc;
+}
+
+// Split an Ogg file into pages
+function parseOggPages(bytes) {
+    const pages = [];
+    let offset = 0;
+    while (offset + 27 <= bytes.length && readAscii(bytes, offset, 4) === 'OggS') {
+        const segmentCount = bytes[offset + 26];
+        const segments = bytes.subarray(offset + 27, offset + 27 + segmentCount);
+        const dataLength = segments.reduce((sum, size) => sum + size, 0);
+        const dataStart = offset + 27 + segmentCount;
+        pages.push({
+            headerType: bytes[offset + 5],
+            granule: bytes.subarray(offset + 6, offset + 14),
+            serial: readUint32LE(bytes, offset + 14),
+            sequence: readUint32LE(bytes, offset + 18),
+            segments,
+            data: bytes.subarray(dataStart, dataStart + dataLength)
+        });
+        offset = dataStart + dataLength;
+    }
+    return pages;
+}
+
+// Serialize one Ogg page and fill in its CRC
+function buildOggPage(headerType, granule, serial, sequence, segments, data) {
+    const page = new Uint8Array(27 + segments.length + data.length);
+    page.set(textEncoder.encode('OggS'), 0);
+    page[5] = headerType;
+    page.set(granule, 6);
+    page.set(uint32LE(serial), 14);
+    page.set(uint32LE(sequence), 18);
+    page[26] = segments.length;
+    page.set(segments, 27);
+    page.set(data, 27 + segments.length);
+    page.set(uint32LE(oggCrc(page)), 22);
+    return page;
+}
+
+// Lay out whole packets on as few Ogg pages as possible
+function paginateOggPackets(packets, serial, firstSequence) {
+    const pages = [];
+    let segments = [];
+    let data = [];
+    let continued = false;
+
+    const flush = (nextContinued) => {
+        pages.push(buildOggPage(continued ? 0x01 : 0x00, new Uint8Array(8), serial, firstSequence + pages.length, new Uint8Array(segments), concatBytes(data)));
+        segments = [];
+        data = [];
+        continued = nextContinued;
+    };
+
+    packets.forEach(packet => {
+        let offset = 0;
+        // A packet is laced as 255-byte segments plus a final shorter (possibly empty) one
+        while (true) {
+            const size = Math.min(255, packet.length - offset);
+            segments.push(size);
+            data.push(packet.subarray(offset, offset + size));
+            offset += size;
+            const packetDone = size < 255;
+            if (segments.length === 255) {
+                flush(!packetDone);
+            }
+            if (packetDone) break;
+        }
+    });
+    if (segments.length > 0) {
+        flush(false);
+    }
+    return pages;
+}
+
+// Write an INITIALKEY comment into the comment header of an Ogg Vorbis or Opus file
+function writeOggKeyTag(bytes, value) {
+    const pages = parseOggPages(bytes);
+    if (pages.length === 0) throw new Error('Not a valid Ogg file');
+
+    const serial = pages[0].serial;
+    if (pages.some(page => page.serial !== serial)) {
+        throw new Error('Ogg files with several streams are not supported');
+    }
+
+    const firstPacket = pages[0].data;
+    const isOpus = readAscii(firstPacket, 0, 8) === 'OpusHead';
+    const isVorbis = firstPacket[0] === 1 && readAscii(firstPacket, 1, 6) === 'vorbis';
+    if (!isOpus && !isVorbis) throw new Error('Only Ogg Vorbis and Opus files are supported');
+
+    // Collect the header packets after the identification page
+    // (Vorbis: comment + setup, Opus: comment only). Audio always starts on a fresh page.
+    const headerPacketCount = isVorbis ? 2 : 1;
+    const packets = [];
+    let current = [];
+    let pageIndex = 1;
+    while (packets.length < headerPacketCount && pageIndex < pages.length) {
+        const page = pages[pageIndex];
+        let offset = 0;
+        page.segments.forEach(size => {
+            current.push(page.data.subarray(offset, offset + size));
+            offset += size;
+            if (size < 255) {
+                packets.push(concatBytes(current));
+                current = [];
+            }
+        });
+        pageIndex++;
+    }
+    if (packets.length < headerPacketCount) throw new Error('Ogg comment header not found');
+
+    // Rebuild the comment packet
+    const comment = packets[0];
+    const prefixLength = isVorbis ? 7 : 8;
+    const parsed = parseVorbisComments(comment, prefixLength);
+    const commentBody = buildVorbisComments(parsed.vendor, parsed.comments, value);
+    packets[0] = isVorbis
+        ? concatBytes([comment.subarray(0, prefixLength), commentBody, new Uint8Array([1])])
+        : concatBytes([comment.subarray(0, prefixLength), commentBody, comment.subarray(parsed.end)]);
+
+    const headerPages = paginateOggPackets(packets, serial, 1);
+    const sequenceShift = headerPages.length - (pageIndex - 1);
+
+    // Renumber the following pages, which changes their CRC
+    const parts = [buildOggPage(pages[0].headerType, pages[0].granule, serial, pages[0].sequence, pages[0].segments, pages[0].data), ...headerPages];
+    pages.slice(pageIndex).forEach(page => {
+        parts.push(buildOggPage(page.headerType, page.granule, serial, page.sequence + sequenceShift, page.segments, page.data));
+    });
+    return concatBytes(parts);
+}
+
+// --- MP4 atoms (M4A) ---
+
+// List the boxes between two offsets
+function readMp4Boxes(bytes, start, end) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = readUint32BE(bytes, offset);
+        let headerSize = 8;
+        if (size === 1) {
+            size = readUint32BE(bytes, offset + 8) * 0x100000000 + readUint32BE(bytes, offset + 12);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) break;
+        boxes.push({ type: readAscii(bytes, offset + 4, 4), start: offset, headerSize, end: offset + size });
+        offset += size;
+    }
+    return boxes;
+}
+
+// Build a box from its type and content
+function buildMp4Box(type, parts) {
+    const content = concatBytes(parts);
+    return concatBytes([uint32BE(content.length + 8), textEncoder.encode(type), content]);
+}
+
+// Empty containers used when a file has no iTunes metadata yet
+function createEmptyMp4Box(type) {
+    if (type === 'meta') {
+        const handler = buildMp4Box('hdlr', [new Uint8Array(8), textEncoder.encode('mdirappl'), new Uint8Array(9)]);
+        return buildMp4Box('meta', [new Uint8Array(4), handler]);
+    }
+    return buildMp4Box(type, []);
+}
+
+// Rebuild a box with the box at the end of a path of child types updated
+// (meta is a full box, so its children start 4 bytes later)
+function updateMp4BoxPath(bytes, box, path, update) {
+    if (path.length === 0) {
+        return update(bytes, box);
+    }
+
+    const prefixLength = box.type === 'meta' ? 4 : 0;
+    const childrenStart = box.start + box.headerSize + prefixLength;
+    const children = readMp4Boxes(bytes, childrenStart, box.end);
+    const parts = [bytes.subarray(box.start + box.headerSize, childrenStart)];
+
+    let found = false;
+    children.forEach(child => {
+        if (child.type === path[0] && !found) {
+            found = true;
+            parts.push(updateMp4BoxPath(bytes, child, path.slice(1), update));
+        } else {
+            parts.push(bytes.subarray(child.start, child.end));
+        }
+    });
+
+    if (!found) {
+        const created = createEmptyMp4Box(path[0]);
+        const [createdBox] = readMp4Boxes(created, 0, created.length);
+        parts.push(updateMp4BoxPath(created, createdBox, path.slice(1), update));
+    }
+
+    return buildMp4Box(box.type, parts);
+}
+
+// Check if an ilst item is the freeform initialkey atom
+function isMp4InitialKeyItem(bytes, item) {
+    if (item.type !== '----') return false;
+    const name = readMp4Boxes(bytes, item.start + item.headerSize, item.end).find(child => child.type === 'name');
+    if (!name) return false;
+    const nameText = textDecoder.decode(bytes.subarray(name.start + name.headerSize + 4, name.end));
+    return nameText.toLowerCase() === 'initialkey';
+}
+
+// Shift stco/co64 chunk offsets inside a moov box by a number of bytes
+function shiftMp4ChunkOffsets(bytes, start, end, delta) {
+    readMp4Boxes(bytes, start, end).forEach(box => {
+        const contentStart = box.start + box.headerSize;
+        if (['trak', 'mdia', 'minf', 'stbl'].includes(box.type)) {
+            shiftMp4ChunkOffsets(bytes, contentStart, box.end, delta);
+        } else if (box.type === 'stco') {
+            const count = readUint32BE(bytes, contentStart + 4);
+            for (let i = 0; i < count; i++) {
+                const offset = contentStart + 8 + i * 4;
+                writeUint32BE(bytes, offset, readUint32BE(bytes, offset) + delta);
+            }
+        } else if (box.type === 'co64') {
+            const count = readUint32BE(bytes, contentStart + 4);
+            for (let i = 0; i < count; i++) {
+                const offset = contentStart + 8 + i * 8;
+                const value = readUint32BE(bytes, offset) * 0x100000000 + readUint32BE(bytes, offset + 4) + delta;
+                writeUint32BE(bytes, offset, Math.floor(value / 0x100000000));
+                writeUint32BE(bytes, offset + 4, value % 0x100000000);
+            }
+        }
+    });
+}
+
+// Write the initialkey freeform atom into moov/udta/meta/ilst of an M4A file
+function writeMp4KeyTag(bytes, value) {
+    const topBoxes = readMp4Boxes(bytes, 0, bytes.length);
+    const moov = topBoxes.find(box => box.type === 'moov');
+    if (!moov) throw new Error('No moov atom found');
+
+    const newMoov = updateMp4BoxPath(bytes, moov, ['udta', 'meta', 'ilst'], (ilstBytes, ilst) => {
+        const items = readMp4Boxes(ilstBytes, ilst.start + ilst.headerSize, ilst.end)
+            .filter(item => !isMp4InitialKeyItem(ilstBytes, item))
+            .map(item => ilstBytes.subarray(item.start, item.end));
+
+        items.push(buildMp4Box('----', [
+            buildMp4Box('mean', [new Uint8Array(4), textEncoder.encode('com.apple.iTunes')]),
+            buildMp4Box('name', [new Uint8Array(4), textEncoder.encode('initialkey')]),
+            buildMp4Box('data', [uint32BE(1), new Uint8Array(4), textEncoder.encode(value)])
+        ]));
+        return buildMp4Box('ilst', items);
+    });
+
+    // Media data after the moov box moves, so its chunk offsets must follow
+    const delta = newMoov.length - (moov.end - moov.start);
+    const mediaAfterMoov = topBoxes.some(box => box.type === 'mdat' && box.start > moov.start);
+    if (delta !== 0 && mediaAfterMoov) {
+        shiftMp4ChunkOffsets(newMoov, 8, newMoov.length, delta);
+    }
+
+    return concatBytes([bytes.subarray(0, moov.start), newMoov, bytes.subarray(moov.end)]);
+}
+
+// Write a key into a copy of an audio file
+// Returns the tagged file as a Uint8Array, throws if the format is not supported
+function writeKeyTag(arrayBuffer, value) {
+    const bytes = new Uint8Array(arrayBuffer);
+    switch (detectTagFormat(bytes)) {
+        case 'mp3':
+            return writeId3KeyTag(bytes, value);
+        case 'flac':
+            return writeFlacKeyTag(bytes, value);
+        case 'ogg':
+            return writeOggKeyTag(bytes, value);
+        case 'mp4':
+            return writeMp4KeyTag(bytes, value);
+        default:
+            throw new Error('Unsupported file type');
+    }
+}
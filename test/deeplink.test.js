@@ -0,0 +1,55 @@
+// Tests for deeplink.js (run with npm test)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app.js');
+
+// Give the page a clipboard whose writes succeed or fail
+function setClipboard(window, writeText) {
+    Object.defineProperty(window.navigator, 'clipboard', { value: { writeText }, configurable: true });
+}
+
+test('parseDeepLink reads the key and the notation options', async () => {
+    const window = await loadApp();
+    const parseDeepLink = window.eval('parseDeepLink');
+
+    const link = parseDeepLink('#/key/8A?notation=openkey&flats=1');
+    assert.deepEqual({ ...link.key }, { note: 'A', type: 'minor' });
+    assert.deepEqual({ ...link.settings }, { notationType: 'openkey', useFlats: true });
+
+    assert.equal(parseDeepLink('#/key/%E0?flats=0').key, null);
+    assert.equal(parseDeepLink('#settings'), null);
+
+    // Only known options are read
+    assert.deepEqual({ ...parseDeepLink('#/?constructor=1&toString=2').settings }, {});
+    window.close();
+});
+
+test('the copy link button reports the copy once the clipboard has it', async () => {
+    const window = await loadApp();
+    const copyButton = window.document.getElementById('copy-link');
+    const copied = [];
+    setClipboard(window, async (text) => {
+        copied.push(text);
+    });
+
+    copyButton.click();
+    assert.equal(copyButton.textContent, 'Copy Link');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.equal(copyButton.textContent, 'Link Copied');
+    assert.deepEqual(copied, [window.location.href]);
+    assert.match(window.location.hash, /^#\/\?notation=camelot&flats=0$/);
+    window.close();
+});
+
+test('the copy link button points to the address bar when the clipboard refuses', async () => {
+    const window = await loadApp();
+    const copyButton = window.document.getElementById('copy-link');
+    setClipboard(window, () => Promise.reject(new Error('Not allowed')));
+
+    copyButton.click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.equal(copyButton.textContent, 'Link in Address Bar');
+    assert.match(window.location.hash, /^#\/\?notation=camelot&flats=0$/);
+    window.close();
+});
@@ -0,0 +1,92 @@
+// Tests for latch mode drones in drone.js (run with npm test)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app.js');
+
+// Load the app with latch mode on
+async function loadAppLatched() {
+    const window = await loadApp();
+    window.eval('toggleOptionCheckbox')('latch-toggle');
+    assert.equal(window.eval('latchMode'), true);
+
+    const drones = () => Array.from(window.eval('drones').values());
+    const press = (element) => element.dispatchEvent(new window.MouseEvent('pointerdown', { button: 0, bubbles: true }));
+    const pressKey = (code) => {
+        window.document.dispatchEvent(new window.KeyboardEvent('keydown', { code, bubbles: true }));
+        window.document.dispatchEvent(new window.KeyboardEvent('keyup', { code, bubbles: true }));
+    };
+    return { window, drones, press, pressKey };
+}
+
+const pianoKey = (window, note, octave) =>
+    window.document.querySelector(`.piano-key[data-frequency="${window.eval('NOTE_FREQUENCIES')[note]}"][data-octave="${octave}"]`);
+
+test('piano keys drone in their own octave', async () => {
+    const { window, drones, press } = await loadAppLatched();
+    window.eval('setOctaveShift')(-1);
+    const octavesSelect = window.document.getElementById('piano-octaves');
+    octavesSelect.value = '2';
+    octavesSelect.dispatchEvent(new window.Event('change'));
+
+    press(pianoKey(window, 'A', 1));
+    assert.equal(drones().length, 1);
+    assert.equal(drones()[0].octave, 0);
+    assert.equal(drones()[0].voices[0].frequency, 440);
+
+    // The same note an octave lower is a drone of its own
+    press(pianoKey(window, 'A', 0));
+    assert.deepEqual(drones().map(drone => drone.voices[0].frequency), [440, 220]);
+
+    press(pianoKey(window, 'A', 1));
+    assert.deepEqual(drones().map(drone => drone.octave), [-1]);
+    window.close();
+});
+
+test('keys bound to the octave above drone an octave up', async () => {
+    const { window, drones, pressKey } = await loadAppLatched();
+
+    pressKey('KeyH'); // A, base octave
+    pressKey('Digit0'); // A, octave above
+    assert.deepEqual(drones().map(drone => drone.voices[0].frequency), [440, 880]);
+
+    pressKey('KeyH');
+    assert.deepEqual(drones().map(drone => drone.voices[0].frequency), [880]);
+    window.close();
+});
+
+test('drones show in the center display like notes from the same source', async () => {
+    const { window, press } = await loadAppLatched();
+
+    press(pianoKey(window, 'A', 0));
+    assert.equal(window.eval('lastPlayedNote'), 'A');
+
+    press(window.document.querySelector('.note-path[data-note="C"][data-chord-type="major"]'));
+    assert.deepEqual({ ...window.eval('lastPlayedNote') }, { note: 'C', source: 'wheel', type: 'major' });
+    window.close();
+});
+
+test('drones keep sounding with a decaying synth voice', async () => {
+    const { window, drones, press } = await loadAppLatched();
+    const voiceSelect = window.document.getElementById('synth-voice');
+    voiceSelect.value = 'piano';
+    voiceSelect.dispatchEvent(new window.Event('change'));
+    const sustainSlider = window.document.getElementById('synth-sustain');
+    sustainSlider.value = '0';
+    sustainSlider.dispatchEvent(new window.Event('input'));
+
+    press(pianoKey(window, 'A', 0));
+    const [voice] = drones()[0].voices;
+    assert.ok(voice.sources.length > 1, 'the piano voice has several partials');
+    assert.ok(voice.gainNode.gain.value > 0, 'the envelope holds its peak');
+    voice.nodes.forEach(node => {
+        assert.equal(node.gain ? node.gain.target : undefined, undefined, 'no partial fades out');
+    });
+
+    // Notes played normally still decay
+    const frequency = window.eval('handleNoteStart')(440, 'piano');
+    const noteVoice = window.eval('activeOscillators')[frequency].voices[0];
+    assert.equal(noteVoice.gainNode.gain.value, 0);
+    assert.ok(noteVoice.nodes.some(node => node.gain && node.gain.target === 0));
+    window.close();
+});
@@ -0,0 +1,45 @@
+// Tests for the key binding editor in keybindings.js (run with npm test)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app.js');
+
+const bindingButton = (window, action) => window.document.querySelector(`.key-binding-button[data-action="${action}"]`);
+
+function pressKey(window, target, code) {
+    target.dispatchEvent(new window.KeyboardEvent('keydown', { code, bubbles: true }));
+    target.dispatchEvent(new window.KeyboardEvent('keyup', { code, bubbles: true }));
+}
+
+test('the binding buttons are in the tab order', async () => {
+    const window = await loadApp();
+    const buttons = window.document.querySelectorAll('.key-binding-button');
+    assert.ok(buttons.length > 0);
+    buttons.forEach(button => assert.equal(button.tabIndex, 0));
+    window.close();
+});
+
+test('a binding can be changed from the keyboard without losing focus', async () => {
+    const window = await loadApp();
+    const { document } = window;
+
+    bindingButton(window, 'latch').focus();
+    bindingButton(window, 'latch').click();
+    assert.equal(document.activeElement, bindingButton(window, 'latch'));
+    assert.equal(document.activeElement.textContent, 'Press a key');
+
+    // The captured key is bound, not played
+    pressKey(window, document.activeElement, 'KeyQ');
+    assert.equal(window.eval('keyBindings').latch, 'KeyQ');
+    assert.equal(window.startedSources.length, 0);
+    assert.equal(document.activeElement, bindingButton(window, 'latch'));
+    assert.equal(document.activeElement.textContent, 'Q');
+
+    // Escape cancels a capture and keeps the binding
+    document.activeElement.click();
+    pressKey(window, document.activeElement, 'Escape');
+    assert.equal(window.eval('keyBindingCapture'), null);
+    assert.equal(window.eval('keyBindings').latch, 'KeyQ');
+    assert.equal(document.activeElement, bindingButton(window, 'latch'));
+    window.close();
+});
@@ -0,0 +1,175 @@
+// Unit tests for keytheory.js and its ES module entry keytheory.mjs (run with npm test)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+const KeyTheory = require('../keytheory.js');
+
+const A_MINOR = { note: 'A', type: 'minor' };
+const C_MAJOR = { note: 'C', type: 'major' };
+
+test('parseKeyString reads Camelot and Open Key codes', () => {
+    assert.deepEqual(KeyTheory.parseKeyString('8A'), A_MINOR);
+    assert.deepEqual(KeyTheory.parseKeyString('08a'), A_MINOR);
+    assert.deepEqual(KeyTheory.parseKeyString('8B'), C_MAJOR);
+    assert.deepEqual(KeyTheory.parseKeyString('1m'), A_MINOR);
+    assert.deepEqual(KeyTheory.parseKeyString('1d'), C_MAJOR);
+});
+
+test('parseKeyString reads musical key names', () => {
+    assert.deepEqual(KeyTheory.parseKeyString('Am'), A_MINOR);
+    assert.deepEqual(KeyTheory.parseKeyString('A min'), A_MINOR);
+    assert.deepEqual(KeyTheory.parseKeyString('A minor'), A_MINOR);
+    assert.deepEqual(KeyTheory.parseKeyString('a'), A_MINOR);
+    assert.deepEqual(KeyTheory.parseKeyString('C'), C_MAJOR);
+    assert.deepEqual(KeyTheory.parseKeyString('Abm'), { note: 'G#', type: 'minor' });
+    assert.deepEqual(KeyTheory.parseKeyString('G♯m'), { note: 'G#', type: 'minor' });
+    assert.deepEqual(KeyTheory.parseKeyString('Bbmaj'), { note: 'A#', type: 'major' });
+    assert.deepEqual(KeyTheory.parseKeyString('F sharp major'), { note: 'F#', type: 'major' });
+    assert.deepEqual(KeyTheory.parseKeyString('C#/Db minor'), { note: 'C#', type: 'minor' });
+});
+
+test('parseKeyString reads combined tags and rejects text that is not a key', () => {
+    assert.deepEqual(KeyTheory.parseKeyString('8A - Am'), A_MINOR);
+    assert.deepEqual(KeyTheory.parseKeyString('Am/8A'), A_MINOR);
+    assert.deepEqual(KeyTheory.parseKeyString('Am (8A)'), A_MINOR);
+    assert.equal(KeyTheory.parseKeyString(''), null);
+    assert.equal(KeyTheory.parseKeyString('13A'), null);
+    assert.equal(KeyTheory.parseKeyString('H minor'), null);
+    assert.equal(KeyTheory.parseKeyString('hello'), null);
+});
+
+test('formatKey writes every key format', () => {
+    const cSharpMajor = { note: 'C#', type: 'major' };
+    const gSharpMinor = { note: 'G#', type: 'minor' };
+    assert.equal(KeyTheory.formatKey(A_MINOR, 'camelot'), '8A');
+    assert.equal(KeyTheory.formatKey({ note: 'G#', type: 'minor' }, 'camelot-padded'), '01A');
+    assert.equal(KeyTheory.formatKey(A_MINOR, 'openkey'), '1m');
+    assert.equal(KeyTheory.formatKey(gSharpMinor, 'musical-sharps'), 'G#m');
+    assert.equal(KeyTheory.formatKey(gSharpMinor, 'musical-flats'), 'Abm');
+    assert.equal(KeyTheory.formatKey(gSharpMinor, 'musical-spelled'), 'G#m');
+    assert.equal(KeyTheory.formatKey(cSharpMajor, 'musical-spelled'), 'Db');
+    assert.equal(KeyTheory.formatKey(cSharpMajor, 'long-sharps'), 'C# major');
+    assert.equal(KeyTheory.formatKey(cSharpMajor, 'long-flats'), 'Db major');
+    assert.equal(KeyTheory.formatKey(cSharpMajor, 'long-spelled'), 'Db major');
+    assert.equal(KeyTheory.formatKey(gSharpMinor, 'long-spelled'), 'G# minor');
+    assert.equal(KeyTheory.formatKey(A_MINOR, 'unknown'), null);
+});
+
+test('every key format parses back to the same key', () => {
+    KeyTheory.NOTE_NAMES.forEach(note => {
+        ['major', 'minor'].forEach(type => {
+            Object.keys(KeyTheory.KEY_FORMATS).forEach(format => {
+                const text = KeyTheory.formatKey({ note, type }, format);
+                assert.deepEqual(KeyTheory.parseKeyString(text), { note, type }, `${format} ${text}`);
+            });
+        });
+    });
+});
+
+test('convertKeyString converts between formats', () => {
+    assert.equal(KeyTheory.convertKeyString('Abm', 'camelot'), '1A');
+    assert.equal(KeyTheory.convertKeyString('8A', 'long-sharps'), 'A minor');
+    assert.equal(KeyTheory.convertKeyString('12d', 'camelot'), '7B');
+    assert.equal(KeyTheory.convertKeyString('not a key', 'camelot'), null);
+});
+
+test('getCompatibleKeys lists the key itself and its harmonic moves', () => {
+    assert.deepEqual(KeyTheory.getCompatibleKeys(A_MINOR).map(key => KeyTheory.formatKey(key, 'camelot')),
+        ['8A', '9A', '7A', '8B']);
+    assert.equal(KeyTheory.getCompatibleKeys(A_MINOR)[0].move, 'same');
+
+    const energy = KeyTheory.getCompatibleKeys(A_MINOR, ['energy', 'semitone', 'diagonal']);
+    assert.deepEqual(energy.map(key => [KeyTheory.formatKey(key, 'camelot'), key.move]),
+        [['8A', 'same'], ['10A', 'energy'], ['3A', 'semitone'], ['9B', 'diagonal']]);
+});
+
+test('getCamelotStep and getCamelotDistance measure around the wheel', () => {
+    const parse = KeyTheory.parseKeyString;
+    assert.equal(KeyTheory.getCamelotStep(parse('8A'), parse('9A')), 1);
+    assert.equal(KeyTheory.getCamelotStep(parse('8A'), parse('7A')), -1);
+    assert.equal(KeyTheory.getCamelotStep(parse('12A'), parse('1A')), 1);
+    assert.equal(KeyTheory.getCamelotStep(parse('1A'), parse('7A')), 6);
+    assert.equal(KeyTheory.getCamelotStep(parse('1A'), parse('8A')), -5);
+    assert.equal(KeyTheory.getCamelotDistance(parse('8A'), parse('10B')), 3);
+    assert.equal(KeyTheory.getCamelotDistance(parse('8A'), parse('8B')), 1);
+    assert.equal(KeyTheory.getCamelotDistance(parse('8A'), parse('8A')), 0);
+});
+
+test('transposeKey shifts the tonic and keeps the type', () => {
+    assert.deepEqual(KeyTheory.transposeKey(A_MINOR, 2), { note: 'B', type: 'minor' });
+    assert.deepEqual(KeyTheory.transposeKey(A_MINOR, -10), { note: 'B', type: 'minor' });
+    assert.deepEqual(KeyTheory.transposeKey(C_MAJOR, 13), { note: 'C#', type: 'major' });
+});
+
+test('identifyChord names chords and their inversions', () => {
+    assert.deepEqual(KeyTheory.identifyChord(['A', 'C', 'E'], 'A'),
+        { root: 'A', chord: 'minor', suffix: 'm', bass: 'A', inversion: 0 });
+    assert.deepEqual(KeyTheory.identifyChord(['C', 'E', 'A'], 'C'),
+        { root: 'A', chord: 'minor', suffix: 'm', bass: 'C', inversion: 1 });
+    assert.equal(KeyTheory.identifyChord(['G', 'B', 'D', 'F']).chord, 'dominant7');
+    assert.equal(KeyTheory.identifyChord(['C', 'G']).chord, 'power');
+    assert.equal(KeyTheory.identifyChord(['C', 'C#', 'D']), null);
+});
+
+test('identifyChord lets the bass note choose between chords that share their notes', () => {
+    assert.equal(KeyTheory.identifyChord(['A', 'C', 'E', 'G'], 'A').chord, 'minor7');
+    assert.equal(KeyTheory.identifyChord(['A', 'C', 'E', 'G'], 'A').root, 'A');
+});
+
+test('findKeysForNotes ranks the keys containing the notes', () => {
+    const keys = KeyTheory.findKeysForNotes(['A', 'C', 'E'], { bass: 'A', chordRoot: 'A' });
+    assert.deepEqual({ note: keys[0].note, type: keys[0].type }, A_MINOR);
+    keys.forEach(key => {
+        const scale = KeyTheory.getScaleNotes(key);
+        assert.ok(['A', 'C', 'E'].every(note => scale.includes(note)));
+    });
+    for (let i = 1; i < keys.length; i++) {
+        assert.ok(keys[i - 1].score >= keys[i].score);
+    }
+    assert.deepEqual(KeyTheory.findKeysForNotes(['C', 'C#', 'D']), []);
+});
+
+test('getScaleDegrees labels each note of the scale', () => {
+    assert.deepEqual(KeyTheory.getScaleDegrees(A_MINOR),
+        { 'A': '1', 'B': '2', 'C': '♭3', 'D': '4', 'E': '5', 'F': '♭6', 'G': '♭7' });
+    assert.deepEqual(KeyTheory.getScaleDegrees(C_MAJOR),
+        { 'C': '1', 'D': '2', 'E': '3', 'F': '4', 'G': '5', 'A': '6', 'B': '7' });
+});
+
+test('getModeParent finds the parent major key of a mode', () => {
+    assert.deepEqual(KeyTheory.getModeParent('D', 'dorian'), C_MAJOR);
+    assert.deepEqual(KeyTheory.getModeParent('A', 'aeolian'), C_MAJOR);
+    assert.deepEqual(KeyTheory.getModeParent('F', 'lydian'), C_MAJOR);
+    assert.deepEqual(KeyTheory.getModeParent('C', 'ionian'), C_MAJOR);
+    assert.equal(KeyTheory.getModeParent('C', 'unknown'), null);
+});
+
+test('keytheory.mjs exports the whole API by name and as the default export', async () => {
+    const keyTheoryModule = await import(pathToFileURL(path.join(__dirname, '..', 'keytheory.mjs')));
+    assert.equal(keyTheoryModule.default, KeyTheory);
+    assert.deepEqual(Object.keys(keyTheoryModule).filter(name => name !== 'default').sort(), Object.keys(KeyTheory).sort());
+    assert.equal(keyTheoryModule.convertKeyString('Abm', 'camelot'), '1A');
+});
+
+test('keytheory.mjs works where keytheory.js runs as module code, as in a browser', async () => {
+    // In a "type": "module" package Node loads keytheory.js the way a browser does: as strict module code
+    // with no module.exports, so it sets self.KeyTheory
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'keytheory-'));
+    ['keytheory.js', 'keytheory.mjs'].forEach(file => fs.copyFileSync(path.join(__dirname, '..', file), path.join(directory, file)));
+    fs.writeFileSync(path.join(directory, 'package.json'), '{ "type": "module" }');
+    globalThis.self = globalThis;
+    try {
+        const keyTheoryModule = await import(pathToFileURL(path.join(directory, 'keytheory.mjs')));
+        assert.equal(keyTheoryModule.default, globalThis.KeyTheory);
+        assert.deepEqual(Object.keys(keyTheoryModule).filter(name => name !== 'default').sort(), Object.keys(KeyTheory).sort());
+        assert.deepEqual(keyTheoryModule.transposeKey(A_MINOR, 2), { note: 'B', type: 'minor' });
+    } finally {
+        delete globalThis.self;
+        delete globalThis.KeyTheory;
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
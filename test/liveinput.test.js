@@ -0,0 +1,145 @@
+// Tests for liveinput.js with a fake input stream and analyser spectrum (run with npm test)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app.js');
+
+const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Weights of the pitch classes heard in a key: the tonic triad loudest, the rest of the scale quieter
+const A_MINOR_SOUND = { 'A': 1, 'C': 0.8, 'E': 0.9, 'B': 0.3, 'D': 0.3, 'F': 0.2, 'G': 0.2 };
+const E_MAJOR_SOUND = { 'E': 1, 'G#': 0.8, 'B': 0.9, 'F#': 0.3, 'A': 0.3, 'C#': 0.2, 'D#': 0.2 };
+
+function createFakeStream() {
+    const track = { stopped: false, stop() { this.stopped = true; } };
+    return { track, getTracks: () => [track] };
+}
+
+// Load the app and start listening to a fake stream
+// The analysis timer is stopped so each test runs the updates itself with a spectrum it chooses.
+async function loadAppListening() {
+    const window = await loadApp();
+    const stream = createFakeStream();
+    await window.eval('startLiveInput')(stream);
+    window.eval('clearInterval(liveInput.timer)');
+
+    let sound = {};
+    window.eval('liveInput').analyser.getFloatFrequencyData = (spectrum) => {
+        spectrum.fill(-Infinity);
+        const binWidth = window.eval('audioContext').sampleRate / window.eval('liveInput').analyser.fftSize;
+        Object.entries(sound).forEach(([note, weight]) => {
+            for (let octave = 3; octave <= 5; octave++) {
+                const frequency = 440 * Math.pow(2, (PITCH_CLASSES.indexOf(note) - 9) / 12 + octave - 4);
+                spectrum[Math.round(frequency / binWidth)] = 20 * Math.log10(weight);
+            }
+        });
+    };
+
+    // Run analysis updates while the input plays a sound
+    const listen = (newSound, updates = 1) => {
+        sound = newSound;
+        for (let i = 0; i < updates; i++) {
+            window.eval('updateLiveInput')();
+        }
+    };
+    const estimate = () => {
+        const liveEstimate = window.eval('liveEstimate');
+        return liveEstimate ? `${liveEstimate.note} ${liveEstimate.type}` : null;
+    };
+    return { window, stream, listen, estimate };
+}
+
+function selectSmoothing(window, value) {
+    const select = window.document.getElementById('live-smoothing');
+    select.value = value;
+    select.dispatchEvent(new window.Event('change'));
+}
+
+test('the key estimate follows the input and is shown on the page', async () => {
+    const { window, listen, estimate } = await loadAppListening();
+    const { document } = window;
+    assert.equal(estimate(), null);
+
+    listen(A_MINOR_SOUND);
+    assert.equal(estimate(), 'A minor');
+    assert.ok(window.eval('liveEstimate').confidence > 0 && window.eval('liveEstimate').confidence <= 1);
+    assert.match(document.getElementById('live-estimate').textContent, /^8A Amin · \d+%$/);
+
+    // The loudest pitch classes are highlighted on the chroma bars and the piano
+    const dominant = Array.from(document.querySelectorAll('.live-chroma-bar'))
+        .map((bar, pitchClass) => bar.classList.contains('dominant') ? PITCH_CLASSES[pitchClass] : null)
+        .filter(note => note);
+    assert.deepEqual(dominant, ['C', 'E', 'A']);
+    assert.ok(document.querySelector('.piano-key.live-active'));
+    window.close();
+});
+
+test('the rolling chroma moves towards each frame by the smoothing factor', async () => {
+    const { window, listen } = await loadAppListening();
+    const smoothing = 1 - Math.exp(-0.1 / 6); // One 100 ms update with the normal 6 s time constant
+    const total = () => window.eval('liveChroma').reduce((sum, value) => sum + value, 0);
+
+    // Frames are normalized to sum to 1, so the rolling chroma sums to how far it has moved
+    listen(A_MINOR_SOUND);
+    assert.ok(Math.abs(total() - smoothing) < 1e-6);
+    const chroma = window.eval('liveChroma');
+    assert.ok(Math.abs(chroma[9] / chroma[0] - 1 / 0.8) < 1e-6);
+    assert.equal(chroma[1], 0);
+
+    listen(A_MINOR_SOUND);
+    assert.ok(Math.abs(total() - (1 - Math.pow(1 - smoothing, 2))) < 1e-6);
+
+    // Slower smoothing moves less per update
+    selectSmoothing(window, 'slow');
+    const before = total();
+    listen(A_MINOR_SOUND);
+    assert.ok(Math.abs(total() - (before + (1 - Math.exp(-0.1 / 15)) * (1 - before))) < 1e-6);
+    window.close();
+});
+
+test('silent frames leave the estimate alone', async () => {
+    const { window, listen, estimate } = await loadAppListening();
+
+    listen(A_MINOR_SOUND, 5);
+    const chroma = Array.from(window.eval('liveChroma'));
+    listen({}, 20);
+    assert.equal(estimate(), 'A minor');
+    assert.deepEqual(Array.from(window.eval('liveChroma')), chroma);
+    window.close();
+});
+
+test('a key change takes longer to show with slower smoothing', async () => {
+    const updatesToFollowKeyChange = async (smoothing) => {
+        const { window, listen, estimate } = await loadAppListening();
+        selectSmoothing(window, smoothing);
+        listen(A_MINOR_SOUND, 300);
+        assert.equal(estimate(), 'A minor');
+
+        let updates = 0;
+        while (estimate() !== 'E major' && updates < 1000) {
+            listen(E_MAJOR_SOUND);
+            updates++;
+        }
+        window.close();
+        return updates;
+    };
+
+    const fast = await updatesToFollowKeyChange('fast');
+    const normal = await updatesToFollowKeyChange('normal');
+    const slow = await updatesToFollowKeyChange('slow');
+    assert.ok(fast > 1, 'one frame shouldn\'t flip the estimate');
+    assert.ok(fast < normal && normal < slow, `${fast} < ${normal} < ${slow}`);
+    assert.ok(slow < 1000);
+});
+
+test('stopping releases the input stream', async () => {
+    const { window, stream, estimate, listen } = await loadAppListening();
+    listen(A_MINOR_SOUND);
+
+    window.eval('stopLiveInput')();
+    assert.ok(stream.track.stopped);
+    assert.equal(window.eval('liveInput'), null);
+    assert.equal(window.document.querySelectorAll('.live-chroma-bar.dominant').length, 0);
+    assert.equal(estimate(), 'A minor');
+    window.close();
+});
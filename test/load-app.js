@@ -0,0 +1,145 @@
+// Loads the app (index.html with its scripts) into jsdom for tests of the browser scripts
+// Web Audio is replaced by a silent fake that keeps the oscillators it starts in window.startedSources.
+// The scripts' top-level let/const bindings aren't window properties, so tests read them with
+// window.eval('name'). Close the window when done so its timers don't keep the test running.
+// A script error fails the load, or the test run if it happens later, so no test runs a broken page.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { TextEncoder, TextDecoder } = require('node:util');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+function createAudioParam(value) {
+    return {
+        value,
+        setValueAtTime(newValue) { this.value = newValue; },
+        linearRampToValueAtTime(newValue) { this.value = newValue; },
+        exponentialRampToValueAtTime(newValue) { this.value = newValue; },
+        setTargetAtTime(target) { this.target = target; },
+        cancelScheduledValues() {}
+    };
+}
+
+function createAudioNode(properties = {}) {
+    return {
+        connect(destination) { return destination; },
+        disconnect() {},
+        ...properties
+    };
+}
+
+function installFakeAudio(window) {
+    window.startedSources = [];
+
+    // Browser APIs jsdom leaves out
+    window.TextEncoder = TextEncoder;
+    window.TextDecoder = TextDecoder;
+
+    window.AudioContext = class {
+        constructor() {
+            this.currentTime = 0;
+            this.sampleRate = 44100;
+            this.state = 'running';
+            this.destination = createAudioNode();
+        }
+
+        createGain() { return createAudioNode({ gain: createAudioParam(1) }); }
+        createDynamicsCompressor() {
+            return createAudioNode({
+                threshold: createAudioParam(0), knee: createAudioParam(0), ratio: createAudioParam(1),
+                attack: createAudioParam(0), release: createAudioParam(0)
+            });
+        }
+        createBiquadFilter() { return createAudioNode({ type: 'lowpass', frequency: createAudioParam(350), Q: createAudioParam(1) }); }
+        createPeriodicWave() { return {}; }
+        createMediaStreamSource(stream) { return createAudioNode({ mediaStream: stream }); }
+        createAnalyser() {
+            return createAudioNode({
+                fftSize: 2048,
+                get frequencyBinCount() { return this.fftSize / 2; },
+                getFloatFrequencyData(array) { array.fill(-Infinity); },
+                getFloatTimeDomainData(array) { array.fill(0); }
+            });
+        }
+        createBufferSource() { return createAudioNode({ buffer: null, playbackRate: createAudioParam(1), start() {}, stop() {} }); }
+        createOscillator() {
+            const oscillator = createAudioNode({
+                type: 'sine',
+                frequency: createAudioParam(440),
+                detune: createAudioParam(0),
+                stopped: false,
+                setPeriodicWave() {},
+                start() { window.startedSources.push(oscillator); },
+                stop() { oscillator.stopped = true; }
+            });
+            return oscillator;
+        }
+        decodeAudioData() { return Promise.reject(new Error('No audio decoding in tests')); }
+        resume() { return Promise.resolve(); }
+    };
+
+    window.HTMLCanvasElement.prototype.getContext = () => new Proxy({}, {
+        get: (target, name) => name in target ? target[name] : () => ({ addColorStop() {} }),
+        set: (target, name, value) => {
+            target[name] = value;
+            return true;
+        }
+    });
+    window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+    window.Element.prototype.setPointerCapture = () => {};
+    window.Element.prototype.releasePointerCapture = () => {};
+}
+
+// Load the app and resolve with its window once it has initialized
+// beforeParse(window) can add fakes of its own (navigator.requestMIDIAccess, localStorage contents)
+function loadApp({ beforeParse = () => {} } = {}) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+        .replace(/<script src="([^"]+)"><\/script>/g, (tag, src) => `<script>${fs.readFileSync(path.join(ROOT, src), 'utf8')}</script>`);
+
+    let loaded = false;
+    const loadErrors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+    virtualConsole.on('jsdomError', (error) => {
+        if (loaded) {
+            process.nextTick(() => {
+                throw error;
+            });
+        } else {
+            loadErrors.push(error);
+        }
+    });
+
+    const dom = new JSDOM(html, {
+        url: 'http://localhost/',
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            installFakeAudio(window);
+            beforeParse(window);
+        }
+    });
+
+    const { window } = dom;
+    return new Promise((resolve, reject) => {
+        const finishLoad = () => {
+            loaded = true;
+            if (loadErrors.length > 0) {
+                window.close();
+                reject(new Error(`The app failed to load:\n${loadErrors.map(error => error.detail || error.message).join('\n')}`));
+            } else {
+                resolve(window);
+            }
+        };
+        if (window.document.readyState === 'complete') {
+            finishLoad();
+        } else {
+            window.addEventListener('load', finishLoad);
+        }
+    });
+}
+
+module.exports = { loadApp };
@@ -0,0 +1,146 @@
+// Tests for midi.js with a fake MIDIAccess (run with npm test)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app.js');
+
+// One input and one output port; the output keeps every message sent to it
+function createFakeMidiAccess() {
+    const input = { id: 'input-1', name: 'Test Keys', onmidimessage: null };
+    const output = { id: 'output-1', name: 'Test Synth', sent: [], send(data) { this.sent.push(Array.from(data)); } };
+    return {
+        input,
+        output,
+        inputs: new Map([[input.id, input]]),
+        outputs: new Map([[output.id, output]]),
+        onstatechange: null
+    };
+}
+
+// Load the app and enable MIDI with the fake ports
+async function loadAppWithMidi() {
+    const midiAccess = createFakeMidiAccess();
+    const window = await loadApp({
+        beforeParse(window) {
+            window.navigator.requestMIDIAccess = async () => midiAccess;
+        }
+    });
+    window.document.getElementById('midi-enable').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const send = (...data) => midiAccess.input.onmidimessage({ data: new Uint8Array(data) });
+    const soundingNotes = () => Object.values(window.eval('activeOscillators'));
+    return { window, midiAccess, send, soundingNotes };
+}
+
+function selectOption(window, id, value) {
+    const select = window.document.getElementById(id);
+    select.value = value;
+    select.dispatchEvent(new window.Event('change'));
+}
+
+test('note-on plays the note at its velocity and note-off stops it', async () => {
+    const { window, send, soundingNotes } = await loadAppWithMidi();
+
+    send(0x90, 69, 64); // A4
+    assert.equal(soundingNotes().length, 1);
+    assert.equal(soundingNotes()[0].note, 'A');
+    assert.equal(soundingNotes()[0].source, 'midi');
+    assert.equal(soundingNotes()[0].velocity, 64 / 127);
+
+    send(0x80, 69, 0);
+    assert.equal(soundingNotes().length, 0);
+
+    // Note-on with velocity 0 is a note-off
+    send(0x90, 72, 100);
+    assert.equal(soundingNotes()[0].octaveOffset, 1);
+    send(0x90, 72, 0);
+    assert.equal(soundingNotes().length, 0);
+    window.close();
+});
+
+test('the input channel filter ignores other channels', async () => {
+    const { window, send, soundingNotes } = await loadAppWithMidi();
+    selectOption(window, 'midi-input-channel', '2');
+
+    send(0x90, 60, 100); // Channel 1
+    assert.equal(soundingNotes().length, 0);
+
+    send(0x91, 60, 100); // Channel 2
+    assert.equal(soundingNotes().length, 1);
+    send(0x81, 60, 0);
+    assert.equal(soundingNotes().length, 0);
+
+    selectOption(window, 'midi-input-channel', '0');
+    send(0x9f, 60, 100); // Channel 16, with all channels accepted
+    assert.equal(soundingNotes().length, 1);
+    window.close();
+});
+
+test('the sustain pedal holds released notes until it comes up', async () => {
+    const { window, send, soundingNotes } = await loadAppWithMidi();
+    const pedal = window.document.getElementById('midi-sustain');
+
+    send(0xb0, 64, 127);
+    assert.ok(pedal.classList.contains('active'));
+
+    send(0x90, 60, 100);
+    send(0x90, 64, 100);
+    send(0x80, 60, 0);
+    send(0x80, 64, 0);
+    assert.equal(soundingNotes().length, 2);
+
+    // A note played again while sustained keeps sounding after the pedal comes up
+    send(0x90, 64, 100);
+    send(0xb0, 64, 0);
+    assert.ok(!pedal.classList.contains('active'));
+    assert.deepEqual(soundingNotes().map(entry => entry.note), ['E']);
+
+    send(0x80, 64, 0);
+    assert.equal(soundingNotes().length, 0);
+    window.close();
+});
+
+test('all notes off releases held and sustained notes', async () => {
+    const { window, send, soundingNotes } = await loadAppWithMidi();
+
+    send(0xb0, 64, 127);
+    send(0x90, 60, 100);
+    send(0x80, 60, 0);
+    send(0x90, 67, 100);
+    send(0xb0, 123, 0);
+    assert.equal(soundingNotes().length, 0);
+    assert.ok(!window.document.getElementById('midi-sustain').classList.contains('active'));
+    window.close();
+});
+
+test('notes played in the app are echoed to the MIDI output', async () => {
+    const { window, midiAccess, send } = await loadAppWithMidi();
+    const { output } = midiAccess;
+    const handleNoteStart = window.eval('handleNoteStart');
+    const stopNote = window.eval('stopNote');
+
+    // Output off: nothing is sent
+    stopNote(handleNoteStart(440, 'keyboard'));
+    assert.deepEqual(output.sent, []);
+
+    selectOption(window, 'midi-output', output.id);
+    selectOption(window, 'midi-output-channel', '3');
+
+    const frequency = handleNoteStart(440, 'keyboard', null, 0, 0.5);
+    assert.deepEqual(output.sent, [[0x92, 69, 64]]);
+    stopNote(frequency);
+    assert.deepEqual(output.sent[1], [0x82, 69, 0]);
+
+    // A wheel chord sends every chord tone
+    output.sent = [];
+    stopNote(handleNoteStart(440, 'wheel', 'minor'));
+    assert.deepEqual(output.sent.filter(message => message[0] === 0x92).map(message => message[1]), [69, 72, 76]);
+
+    // Notes from the MIDI input aren't sent back out
+    output.sent = [];
+    send(0x90, 60, 100);
+    send(0x80, 60, 0);
+    assert.deepEqual(output.sent, []);
+    window.close();
+});
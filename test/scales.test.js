@@ -0,0 +1,43 @@
+// Tests for scale playback in scales.js (run with npm test)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app.js');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a scale plays one note at a time', async () => {
+    const window = await loadApp();
+    window.eval('playScale')('A', window.eval('KEY_SCALES').minor);
+
+    await wait(600);
+    assert.equal(window.eval('scaleVoices').length, 1);
+    assert.equal(window.document.querySelectorAll('.piano-key.scale-step').length > 0, true);
+    window.eval('stopScale')();
+    window.close();
+});
+
+test('stopping a scale releases the note sounding at the time', async () => {
+    const window = await loadApp();
+    const playScale = window.eval('playScale');
+    const minorScale = window.eval('KEY_SCALES').minor;
+
+    // Stopped directly, by playing another scale, and by the panic stop
+    playScale('A', minorScale);
+    await wait(100);
+    window.eval('stopScale')();
+
+    playScale('C', minorScale);
+    await wait(100);
+    playScale('D', minorScale);
+    await wait(100);
+    window.eval('stopAllSound')();
+
+    // Released voices stop their oscillators once the release has faded out
+    await wait(window.eval('synthRelease') * 1000 + 250);
+    assert.equal(window.startedSources.length, 3);
+    assert.deepEqual(window.startedSources.filter(source => !source.stopped), []);
+    assert.equal(window.eval('scaleVoices').length, 0);
+    assert.equal(window.document.querySelectorAll('.piano-key.scale-step').length, 0);
+    window.close();
+});
@@ -0,0 +1,75 @@
+// Unit tests for setplanner.js (run with npm test)
+// The planner is a classic browser script, so it runs in a context holding the key theory globals
+// that script.js takes from keytheory.js. Arrays made in that context are copied with Array.from
+// before deepEqual, which also compares prototypes.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const KeyTheory = require('../keytheory.js');
+
+const planner = vm.createContext({ ...KeyTheory });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'setplanner.js'), 'utf8'), planner);
+
+const tracks = (...keys) => keys.map((rawKey, index) => ({ name: `Track ${index + 1}`, rawKey, key: KeyTheory.parseKeyString(rawKey) }));
+const orderKeys = (list, result) => Array.from(result.order, index => list[index].rawKey);
+
+test('parseSetList reads free text and CSV with a key column', () => {
+    const list = planner.parseSetList('Artist - One, 8A\nTwo\t9A\nThree 10A\nFour, no key');
+    assert.deepEqual(Array.from(list, track => track.rawKey), ['8A', '9A', '10A', '']);
+    assert.equal(list[0].name, 'Artist - One');
+    assert.equal(list[3].key, null);
+
+    const csv = planner.parseSetList('Title,Artist,Key\n"Hello, World",X,Am\nFoo,Y,9A');
+    assert.deepEqual(Array.from(csv, track => track.name), ['X - Hello, World', 'Y - Foo']);
+    assert.deepEqual(csv[0].key, { note: 'A', type: 'minor' });
+});
+
+test('planHarmonicSet orders tracks so every transition is an allowed move', () => {
+    const list = tracks('10A', '8A', '9A');
+    const result = planner.planHarmonicSet(list, { moves: ['adjacent'] });
+    assert.equal(result.complete, true);
+    assert.equal(result.unplaced.length, 0);
+    for (let i = 1; i < result.order.length; i++) {
+        assert.equal(KeyTheory.getTransitionMove(list[result.order[i - 1]].key, list[result.order[i]].key, ['adjacent']), 'adjacent');
+    }
+});
+
+test('planHarmonicSet names the move each transition was planned with', () => {
+    const list = tracks('8A', '8B', '9B');
+    const result = planner.planHarmonicSet(list, { moves: ['adjacent', 'relative'], startIndex: 0 });
+    assert.deepEqual(orderKeys(list, result), ['8A', '8B', '9B']);
+    assert.deepEqual(Array.from(result.moves), ['relative', 'adjacent']);
+});
+
+test('planHarmonicSet keeps to the chosen direction', () => {
+    const list = tracks('10A', '8A', '9A');
+    assert.deepEqual(orderKeys(list, planner.planHarmonicSet(list, { moves: ['adjacent'], direction: 'up' })), ['8A', '9A', '10A']);
+    assert.deepEqual(orderKeys(list, planner.planHarmonicSet(list, { moves: ['adjacent'], direction: 'down' })), ['10A', '9A', '8A']);
+});
+
+test('planHarmonicSet counts the semitone lift as rising', () => {
+    const list = tracks('8A', '3A');
+    const up = planner.planHarmonicSet(list, { moves: ['semitone'], direction: 'up' });
+    assert.deepEqual(orderKeys(list, up), ['8A', '3A']);
+    assert.equal(up.complete, true);
+
+    const down = planner.planHarmonicSet(list, { moves: ['semitone'], direction: 'down' });
+    assert.equal(down.complete, false);
+});
+
+test('planHarmonicSet reports the longest order and the tracks it could not place', () => {
+    const list = tracks('8A', '9A', '2B', '');
+    const result = planner.planHarmonicSet(list, { moves: ['adjacent'] });
+    assert.equal(result.complete, false);
+    assert.equal(result.order.length, 2);
+    assert.deepEqual(Array.from(result.unplaced), [2, 3]);
+});
+
+test('planHarmonicSet honours the start and end tracks', () => {
+    const list = tracks('8A', '9A', '10A');
+    const result = planner.planHarmonicSet(list, { moves: ['adjacent'], startIndex: 2, endIndex: 0 });
+    assert.deepEqual(orderKeys(list, result), ['10A', '9A', '8A']);
+});
@@ -0,0 +1,89 @@
+// Tests for settings.js (run with npm test)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app.js');
+
+const STORAGE_KEY = 'djKeyToolSettings';
+
+// Load the app with a settings store already saved
+function loadAppWithStore(store) {
+    return loadApp({
+        beforeParse(window) {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+        }
+    });
+}
+
+test('profile names that are also Object.prototype names are ordinary profiles', async () => {
+    const window = await loadAppWithStore({
+        version: 2,
+        activeProfile: 'constructor',
+        profiles: JSON.parse('{"__proto__": { "volume": 0.1 }, "constructor": { "volume": 0.2 }, "Default": {}}')
+    });
+    const settingsStore = window.eval('settingsStore');
+
+    assert.deepEqual(Object.keys(settingsStore.profiles), ['__proto__', 'constructor', 'Default']);
+    assert.equal(settingsStore.activeProfile, 'constructor');
+    assert.equal(window.eval('loadSettings')().volume, 0.2);
+    assert.equal(settingsStore.profiles['__proto__'].volume, 0.1);
+    assert.equal(window.Object.prototype.volume, undefined);
+
+    // And they are written back as they were read
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    assert.deepEqual(Object.keys(saved.profiles), ['__proto__', 'constructor', 'Default']);
+    window.close();
+});
+
+test('an active profile that only exists on Object.prototype falls back to the first profile', async () => {
+    const window = await loadAppWithStore({ version: 2, activeProfile: 'toString', profiles: { Club: { volume: 0.3 } } });
+    assert.equal(window.eval('settingsStore').activeProfile, 'Club');
+    assert.equal(window.eval('loadSettings')().volume, 0.3);
+    window.close();
+});
+
+test('saving a profile as "toString" adds a profile', async () => {
+    const window = await loadApp();
+    window.eval('saveSettingsProfileAs')('toString');
+
+    const settingsStore = window.eval('settingsStore');
+    assert.deepEqual(Object.keys(settingsStore.profiles), ['Default', 'toString']);
+    assert.equal(settingsStore.activeProfile, 'toString');
+    assert.equal(window.eval('readSettingsStore')().activeProfile, 'toString');
+    window.close();
+});
+
+test('an export holding only Object.prototype names has no settings', async () => {
+    const window = await loadApp();
+    const parseSettingsExport = window.eval('parseSettingsExport');
+
+    assert.throws(() => parseSettingsExport('{"toString": 1, "constructor": 2}'), /no settings found/);
+    const imported = parseSettingsExport(JSON.stringify({ profile: 'constructor', settings: { volume: 0.4 } }));
+    assert.equal(imported.name, 'constructor');
+    assert.equal(imported.settings.volume, 0.4);
+    window.close();
+});
+
+test('link options only accept schema options', async () => {
+    const window = await loadApp();
+    const accepted = window.eval('setSettingsOverrides')({ constructor: 'x', toString: 'y', useFlats: true });
+    assert.deepEqual(Object.keys(accepted), ['useFlats']);
+    window.close();
+});
+
+test('the synth voice and drone voicing must be ones the app has', async () => {
+    const window = await loadApp();
+    const validateSettings = window.eval('validateSettings');
+
+    Object.keys(window.eval('SYNTH_VOICES')).forEach(synthVoice => {
+        assert.equal(validateSettings({ synthVoice }).synthVoice, synthVoice);
+    });
+    Object.keys(window.eval('DRONE_VOICINGS')).forEach(droneVoicing => {
+        assert.equal(validateSettings({ droneVoicing }).droneVoicing, droneVoicing);
+    });
+
+    const invalid = validateSettings({ synthVoice: 'kazoo', droneVoicing: 'toString' });
+    assert.equal(invalid.synthVoice, 'sine');
+    assert.equal(invalid.droneVoicing, 'root');
+    window.close();
+});
@@ -0,0 +1,480 @@
+// Tests for tagwriter.js (run with npm test)
+// Each test builds a minimal file, writes a key into it, reads the tag back with a parser of its own
+// and checks the audio bytes came through unchanged. tagwriter.js is a classic browser script, so it
+// runs in a context of its own and its byte arrays are compared as Buffers.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const tagWriter = vm.createContext({ TextEncoder, TextDecoder });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'tagwriter.js'), 'utf8'), tagWriter);
+
+// Write a key into a file given as a Buffer and return the tagged file as a Buffer
+const writeKey = (file, value) => Buffer.from(tagWriter.writeKeyTag(Uint8Array.from(file).buffer, value));
+
+// Bytes that stand in for audio data
+const payload = (length, seed) => Buffer.from(Array.from({ length }, (_, i) => (i * 31 + seed) & 0xff));
+
+const uint32BE = (value) => {
+    const bytes = Buffer.alloc(4);
+    bytes.writeUInt32BE(value);
+    return bytes;
+};
+const uint32LE = (value) => {
+    const bytes = Buffer.alloc(4);
+    bytes.writeUInt32LE(value);
+    return bytes;
+};
+const syncsafe = (value) => Buffer.from([(value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f]);
+const readSyncsafe = (bytes, offset) => (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+
+// --- ID3v2 ---
+
+function buildId3Tag(version, frames) {
+    const body = Buffer.concat(frames.map(([id, content]) => Buffer.concat([
+        Buffer.from(id), version === 4 ? syncsafe(content.length) : uint32BE(content.length), Buffer.alloc(2), content
+    ])));
+    return Buffer.concat([Buffer.from('ID3'), Buffer.from([version, 0, 0]), syncsafe(body.length), body]);
+}
+
+// Returns { version, frames: { id: content }, audio }
+function parseId3Tag(file) {
+    assert.equal(file.toString('latin1', 0, 3), 'ID3');
+    const version = file[3];
+    const size = readSyncsafe(file, 6);
+    const frames = {};
+    let offset = 10;
+    while (offset + 10 <= 10 + size && file[offset] !== 0) {
+        const id = file.toString('latin1', offset, offset + 4);
+        const frameSize = version === 4 ? readSyncsafe(file, offset + 4) : file.readUInt32BE(offset + 4);
+        frames[id] = file.subarray(offset + 10, offset + 10 + frameSize);
+        offset += 10 + frameSize;
+    }
+    return { version, frames, audio: file.subarray(10 + size) };
+}
+
+// Decode an ID3v2 text frame by its encoding byte
+function decodeId3Text(content) {
+    const text = content.subarray(1);
+    switch (content[0]) {
+        case 0:
+            return text.toString('latin1');
+        case 1:
+            assert.deepEqual([...text.subarray(0, 2)], [0xff, 0xfe]);
+            return text.subarray(2).toString('utf16le');
+        case 3:
+            return text.toString('utf8');
+        default:
+            throw new Error(`Unexpected ID3 text encoding ${content[0]}`);
+    }
+}
+
+const MP3_AUDIO = Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x00]), payload(400, 1)]);
+
+test('ID3: an MP3 without a tag gets an ID3v2.3 tag with TKEY', () => {
+    const tag = parseId3Tag(writeKey(MP3_AUDIO, '8A'));
+    assert.equal(tag.version, 3);
+    assert.deepEqual(Object.keys(tag.frames), ['TKEY']);
+    assert.equal(tag.frames.TKEY[0], 0);
+    assert.equal(decodeId3Text(tag.frames.TKEY), '8A');
+    assert.ok(tag.audio.equals(MP3_AUDIO));
+});
+
+test('ID3: an existing TKEY is replaced and the other frames are kept', () => {
+    const title = Buffer.concat([Buffer.from([0]), Buffer.from('Track', 'latin1')]);
+    const file = Buffer.concat([
+        buildId3Tag(3, [['TIT2', title], ['TKEY', Buffer.from('\u00001A', 'latin1')]]),
+        MP3_AUDIO
+    ]);
+
+    const tag = parseId3Tag(writeKey(file, 'Am'));
+    assert.deepEqual(Object.keys(tag.frames), ['TIT2', 'TKEY']);
+    assert.ok(tag.frames.TIT2.equals(title));
+    assert.equal(decodeId3Text(tag.frames.TKEY), 'Am');
+    assert.ok(tag.audio.equals(MP3_AUDIO));
+});
+
+test('ID3: keys outside ISO-8859-1 are written as UTF-16 in v2.3 and UTF-8 in v2.4', () => {
+    const v3 = parseId3Tag(writeKey(MP3_AUDIO, 'A♭m'));
+    assert.equal(v3.frames.TKEY[0], 1);
+    assert.equal(decodeId3Text(v3.frames.TKEY), 'A♭m');
+
+    const v4 = parseId3Tag(writeKey(Buffer.concat([buildId3Tag(4, []), MP3_AUDIO]), 'F♯'));
+    assert.equal(v4.version, 4);
+    assert.equal(v4.frames.TKEY[0], 3);
+    assert.equal(decodeId3Text(v4.frames.TKEY), 'F♯');
+    assert.ok(v4.audio.equals(MP3_AUDIO));
+
+    // Latin-1 text is written as Latin-1, not UTF-8
+    const latin = parseId3Tag(writeKey(MP3_AUDIO, 'Ré mineur'));
+    assert.equal(latin.frames.TKEY[0], 0);
+    assert.equal(decodeId3Text(latin.frames.TKEY), 'Ré mineur');
+});
+
+// --- Vorbis comments ---
+
+function buildVorbisComments(vendor, comments) {
+    return Buffer.concat([
+        uint32LE(Buffer.byteLength(vendor)), Buffer.from(vendor),
+        uint32LE(comments.length),
+        ...comments.flatMap(comment => [uint32LE(Buffer.byteLength(comment)), Buffer.from(comment)])
+    ]);
+}
+
+// Returns { vendor, comments, end }
+function parseVorbisComments(bytes, offset) {
+    const vendorLength = bytes.readUInt32LE(offset);
+    const vendor = bytes.toString('utf8', offset + 4, offset + 4 + vendorLength);
+    offset += 4 + vendorLength;
+    const count = bytes.readUInt32LE(offset);
+    offset += 4;
+    const comments = [];
+    for (let i = 0; i < count; i++) {
+        const length = bytes.readUInt32LE(offset);
+        comments.push(bytes.toString('utf8', offset + 4, offset + 4 + length));
+        offset += 4 + length;
+    }
+    return { vendor, comments, end: offset };
+}
+
+// --- FLAC ---
+
+function buildFlacBlock(type, data, isLast) {
+    return Buffer.concat([Buffer.from([(isLast ? 0x80 : 0) | type, (data.length >> 16) & 0xff, (data.length >> 8) & 0xff, data.length & 0xff]), data]);
+}
+
+// Returns { blocks: [{ type, data }], audio }
+function parseFlac(file) {
+    assert.equal(file.toString('latin1', 0, 4), 'fLaC');
+    const blocks = [];
+    let offset = 4;
+    let isLast = false;
+    while (!isLast) {
+        isLast = (file[offset] & 0x80) !== 0;
+        const length = (file[offset + 1] << 16) | (file[offset + 2] << 8) | file[offset + 3];
+        blocks.push({ type: file[offset] & 0x7f, data: file.subarray(offset + 4, offset + 4 + length) });
+        offset += 4 + length;
+    }
+    return { blocks, audio: file.subarray(offset) };
+}
+
+const STREAMINFO = payload(34, 7);
+const FLAC_AUDIO = Buffer.concat([Buffer.from([0xff, 0xf8]), payload(500, 3)]);
+
+test('FLAC: a file without comments gets a VORBIS_COMMENT block after STREAMINFO', () => {
+    const file = Buffer.concat([Buffer.from('fLaC'), buildFlacBlock(0, STREAMINFO, true), FLAC_AUDIO]);
+    const flac = parseFlac(writeKey(file, '8A'));
+
+    assert.deepEqual(flac.blocks.map(block => block.type), [0, 4]);
+    assert.ok(flac.blocks[0].data.equals(STREAMINFO));
+    assert.deepEqual(parseVorbisComments(flac.blocks[1].data, 0).comments, ['INITIALKEY=8A']);
+    assert.ok(flac.audio.equals(FLAC_AUDIO));
+});
+
+test('FLAC: an existing INITIALKEY is replaced and the other blocks and comments are kept', () => {
+    const padding = Buffer.alloc(100);
+    const file = Buffer.concat([
+        Buffer.from('fLaC'),
+        buildFlacBlock(0, STREAMINFO, false),
+        buildFlacBlock(4, buildVorbisComments('encoder 1.0', ['TITLE=Track', 'initialkey=1A']), false),
+        buildFlacBlock(1, padding, true),
+        FLAC_AUDIO
+    ]);
+    const flac = parseFlac(writeKey(file, 'Am'));
+
+    assert.deepEqual(flac.blocks.map(block => block.type), [0, 4, 1]);
+    const comments = parseVorbisComments(flac.blocks[1].data, 0);
+    assert.equal(comments.vendor, 'encoder 1.0');
+    assert.deepEqual(comments.comments, ['TITLE=Track', 'INITIALKEY=Am']);
+    assert.ok(flac.blocks[2].data.equals(padding));
+    assert.ok(flac.audio.equals(FLAC_AUDIO));
+});
+
+// --- Ogg ---
+
+// Ogg CRC-32 (polynomial 0x04c11db7, no reflection), worked out bit by bit
+function oggCrc(bytes) {
+    let crc = 0;
+    for (const byte of bytes) {
+        crc ^= byte << 24;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+        }
+    }
+    return crc >>> 0;
+}
+
+function buildOggPage(headerType, granule, sequence, packets) {
+    const segments = packets.flatMap(packet => {
+        const laced = new Array(Math.floor(packet.length / 255)).fill(255);
+        return [...laced, packet.length % 255];
+    });
+    const page = Buffer.concat([
+        Buffer.from('OggS'), Buffer.from([0, headerType]), granule, uint32LE(0x1234), uint32LE(sequence),
+        Buffer.alloc(4), Buffer.from([segments.length]), Buffer.from(segments), ...packets
+    ]);
+    page.writeUInt32LE(oggCrc(page), 22);
+    return page;
+}
+
+// Returns [{ headerType, granule, serial, sequence, data }], checking every page's CRC
+function parseOggPages(file) {
+    const pages = [];
+    let offset = 0;
+    while (offset < file.length) {
+        assert.equal(file.toString('latin1', offset, offset + 4), 'OggS');
+        const segmentCount = file[offset + 26];
+        const segments = file.subarray(offset + 27, offset + 27 + segmentCount);
+        const end = offset + 27 + segmentCount + segments.reduce((sum, size) => sum + size, 0);
+        const page = Buffer.from(file.subarray(offset, end));
+        const crc = page.readUInt32LE(22);
+        page.writeUInt32LE(0, 22);
+        assert.equal(crc, oggCrc(page), `CRC of page ${pages.length}`);
+
+        pages.push({
+            headerType: file[offset + 5],
+            granule: file.subarray(offset + 6, offset + 14),
+            serial: file.readUInt32LE(offset + 14),
+            sequence: file.readUInt32LE(offset + 18),
+            data: file.subarray(offset + 27 + segmentCount, end)
+        });
+        offset = end;
+    }
+    return pages;
+}
+
+const granule = (value) => {
+    const bytes = Buffer.alloc(8);
+    bytes.writeBigUInt64LE(BigInt(value));
+    return bytes;
+};
+
+const VORBIS_ID = Buffer.concat([Buffer.from('\x01vorbis', 'latin1'), payload(23, 5)]);
+const VORBIS_SETUP = Buffer.concat([Buffer.from('\x05vorbis', 'latin1'), payload(600, 9)]);
+const OGG_AUDIO_PACKETS = [payload(300, 11), payload(200, 13), payload(700, 17)];
+
+function buildOggVorbis(comments) {
+    const commentPacket = Buffer.concat([Buffer.from('\x03vorbis', 'latin1'), buildVorbisComments('Xiph', comments), Buffer.from([1])]);
+    return Buffer.concat([
+        buildOggPage(0x02, granule(0), 0, [VORBIS_ID]),
+        buildOggPage(0x00, granule(0), 1, [commentPacket, VORBIS_SETUP]),
+        buildOggPage(0x00, granule(1024), 2, OGG_AUDIO_PACKETS.slice(0, 2)),
+        buildOggPage(0x04, granule(2048), 3, OGG_AUDIO_PACKETS.slice(2))
+    ]);
+}
+
+test('Ogg: the comment header gets INITIALKEY and the audio pages keep their data', () => {
+    const pages = parseOggPages(writeKey(buildOggVorbis(['TITLE=Track', 'INITIALKEY=1A']), '8A'));
+    assert.equal(pages.length, 4);
+    assert.deepEqual(pages.map(page => page.sequence), [0, 1, 2, 3]);
+    assert.ok(pages.every(page => page.serial === 0x1234));
+
+    assert.ok(pages[0].data.equals(VORBIS_ID));
+    assert.equal(pages[0].headerType, 0x02);
+
+    const comments = parseVorbisComments(pages[1].data, 7);
+    assert.equal(comments.vendor, 'Xiph');
+    assert.deepEqual(comments.comments, ['TITLE=Track', 'INITIALKEY=8A']);
+    assert.equal(pages[1].data[comments.end], 1, 'framing bit');
+    assert.ok(pages[1].data.subarray(comments.end + 1).equals(VORBIS_SETUP));
+
+    assert.ok(pages[2].data.equals(Buffer.concat(OGG_AUDIO_PACKETS.slice(0, 2))));
+    assert.ok(pages[2].granule.equals(granule(1024)));
+    assert.ok(pages[3].data.equals(OGG_AUDIO_PACKETS[2]));
+    assert.equal(pages[3].headerType, 0x04);
+});
+
+test('Ogg: a comment header that outgrows its page spills onto a new one and the audio pages are renumbered', () => {
+    // The comment and setup packets just fit the 255 segments of one page until the key is added
+    const longComment = `COMMENT=${'x'.repeat(64218)}`;
+    const pages = parseOggPages(writeKey(buildOggVorbis([longComment]), '8A'));
+
+    assert.equal(pages.length, 5);
+    assert.deepEqual(pages.map(page => page.sequence), [0, 1, 2, 3, 4]);
+    assert.equal(pages[2].headerType & 0x01, 0x01, 'the second header page continues a packet');
+
+    const header = Buffer.concat([pages[1].data, pages[2].data]);
+    const comments = parseVorbisComments(header, 7);
+    assert.deepEqual(comments.comments, [longComment, 'INITIALKEY=8A']);
+    assert.ok(header.subarray(comments.end + 1).equals(VORBIS_SETUP));
+
+    assert.ok(pages[3].data.equals(Buffer.concat(OGG_AUDIO_PACKETS.slice(0, 2))));
+    assert.ok(pages[3].granule.equals(granule(1024)));
+    assert.ok(pages[4].data.equals(OGG_AUDIO_PACKETS[2]));
+});
+
+test('Ogg: Opus files get INITIALKEY in OpusTags', () => {
+    const opusHead = Buffer.concat([Buffer.from('OpusHead'), payload(11, 2)]);
+    const opusTags = Buffer.concat([Buffer.from('OpusTags'), buildVorbisComments('libopus', ['TITLE=Track'])]);
+    const file = Buffer.concat([
+        buildOggPage(0x02, granule(0), 0, [opusHead]),
+        buildOggPage(0x00, granule(0), 1, [opusTags]),
+        buildOggPage(0x04, granule(960), 2, OGG_AUDIO_PACKETS)
+    ]);
+    const pages = parseOggPages(writeKey(file, '8A'));
+
+    assert.equal(pages.length, 3);
+    assert.equal(pages[1].data.toString('latin1', 0, 8), 'OpusTags');
+    assert.deepEqual(parseVorbisComments(pages[1].data, 8).comments, ['TITLE=Track', 'INITIALKEY=8A']);
+    assert.ok(pages[2].data.equals(Buffer.concat(OGG_AUDIO_PACKETS)));
+});
+
+test('Ogg: other codecs are refused', () => {
+    const file = buildOggPage(0x02, granule(0), 0, [Buffer.from('Speex   ')]);
+    assert.throws(() => writeKey(file, '8A'), /Only Ogg Vorbis and Opus/);
+});
+
+// --- MP4 ---
+
+const box = (type, ...parts) => Buffer.concat([uint32BE(8 + parts.reduce((sum, part) => sum + part.length, 0)), Buffer.from(type, 'latin1'), ...parts]);
+const fullBox = (type, ...parts) => box(type, Buffer.alloc(4), ...parts);
+
+// Returns [{ type, start, end, contentStart }]
+function readBoxes(bytes, start, end) {
+    const boxes = [];
+    for (let offset = start; offset + 8 <= end;) {
+        const size = bytes.readUInt32BE(offset);
+        boxes.push({ type: bytes.toString('latin1', offset + 4, offset + 8), start: offset, end: offset + size, contentStart: offset + 8 });
+        offset += size;
+    }
+    return boxes;
+}
+
+// Find a box by its path of types ('meta' is a full box, so its children start 4 bytes later)
+function findBox(bytes, types) {
+    let found = { contentStart: 0, end: bytes.length, type: null };
+    types.forEach(type => {
+        const start = found.contentStart + (found.type === 'meta' ? 4 : 0);
+        found = readBoxes(bytes, start, found.end).find(child => child.type === type);
+        assert.ok(found, `${types.join('/')} has no ${type}`);
+    });
+    return found;
+}
+
+function readChunkOffsets(bytes, stbl) {
+    const offsets = [];
+    readBoxes(bytes, stbl.contentStart, stbl.end).forEach(child => {
+        const count = bytes.readUInt32BE(child.contentStart + 4);
+        for (let i = 0; i < count; i++) {
+            if (child.type === 'stco') offsets.push(bytes.readUInt32BE(child.contentStart + 8 + i * 4));
+            if (child.type === 'co64') offsets.push(Number(bytes.readBigUInt64BE(child.contentStart + 8 + i * 8)));
+        }
+    });
+    return offsets;
+}
+
+// An M4A with two tracks, one with 32-bit (stco) and one with 64-bit (co64) chunk offsets
+// pointing at chunks in mdat, which comes before or after moov
+function buildMp4({ mdatFirst = false, udta = null } = {}) {
+    const ftyp = box('ftyp', Buffer.from('M4A \0\0\0\0M4A isom', 'latin1'));
+    const chunks = [payload(64, 21), payload(96, 23), payload(32, 29), payload(48, 31)];
+    const mdatContent = Buffer.concat(chunks);
+
+    const buildMoov = (mdatStart) => {
+        const chunkOffsets = [];
+        let offset = mdatStart + 8;
+        chunks.forEach(chunk => {
+            chunkOffsets.push(offset);
+            offset += chunk.length;
+        });
+        const stco = fullBox('stco', uint32BE(2), ...chunkOffsets.slice(0, 2).map(uint32BE));
+        const co64 = fullBox('co64', uint32BE(2), ...chunkOffsets.slice(2).flatMap(value => [uint32BE(0), uint32BE(value)]));
+        const trak = (table) => box('trak', fullBox('tkhd', Buffer.alloc(80)), box('mdia', box('minf', box('stbl', table))));
+        return box('moov', fullBox('mvhd', Buffer.alloc(96)), trak(stco), trak(co64), ...(udta ? [udta] : []));
+    };
+
+    const mdat = box('mdat', mdatContent);
+    const file = mdatFirst
+        ? Buffer.concat([ftyp, mdat, buildMoov(ftyp.length)])
+        : Buffer.concat([ftyp, buildMoov(ftyp.length + buildMoov(0).length), mdat]);
+    return { file, chunks };
+}
+
+// Follow a path of child types down from a box
+function findChildBox(bytes, parent, types) {
+    return types.reduce((current, type) => readBoxes(bytes, current.contentStart, current.end).find(child => child.type === type), parent);
+}
+
+// Read the freeform initialkey values and the chunk offsets
+function readMp4(file) {
+    const ilst = findBox(file, ['moov', 'udta', 'meta', 'ilst']);
+    const keys = readBoxes(file, ilst.contentStart, ilst.end)
+        .filter(item => item.type === '----')
+        .map(item => {
+            const [mean, name, data] = readBoxes(file, item.contentStart, item.end);
+            assert.equal(file.toString('utf8', mean.contentStart + 4, mean.end), 'com.apple.iTunes');
+            assert.equal(file.toString('utf8', name.contentStart + 4, name.end).toLowerCase(), 'initialkey');
+            assert.equal(file.readUInt32BE(data.contentStart), 1, 'UTF-8 data');
+            return file.toString('utf8', data.contentStart + 8, data.end);
+        });
+
+    return { keys, offsets: readMp4Offsets(file), ilst };
+}
+
+// The chunk offsets of every track
+function readMp4Offsets(file) {
+    const moov = findBox(file, ['moov']);
+    return readBoxes(file, moov.contentStart, moov.end)
+        .filter(child => child.type === 'trak')
+        .flatMap(trak => readChunkOffsets(file, findChildBox(file, trak, ['mdia', 'minf', 'stbl'])));
+}
+
+test('MP4: the initialkey atom is added and chunk offsets after moov move by the inserted size', () => {
+    const { file, chunks } = buildMp4();
+    const before = readMp4Offsets(file);
+    const tagged = writeKey(file, '8A');
+    const { keys, offsets } = readMp4(tagged);
+
+    assert.deepEqual(keys, ['8A']);
+    const insertedSize = findBox(tagged, ['moov']).end - findBox(file, ['moov']).end;
+    assert.ok(insertedSize > 0);
+    assert.equal(tagged.length, file.length + insertedSize);
+    assert.deepEqual(offsets, before.map(offset => offset + insertedSize));
+
+    // Every offset still points at its chunk, and the media data is unchanged
+    chunks.forEach((chunk, index) => {
+        assert.ok(tagged.subarray(offsets[index], offsets[index] + chunk.length).equals(chunk));
+    });
+    const mdat = findBox(file, ['mdat']);
+    assert.ok(tagged.subarray(mdat.start + insertedSize).equals(file.subarray(mdat.start)));
+});
+
+test('MP4: chunk offsets stay put when mdat comes before moov', () => {
+    const { file, chunks } = buildMp4({ mdatFirst: true });
+    const tagged = writeKey(file, '8A');
+    const { keys, offsets } = readMp4(tagged);
+
+    assert.deepEqual(keys, ['8A']);
+    assert.ok(tagged.subarray(0, findBox(file, ['moov']).start).equals(file.subarray(0, findBox(file, ['moov']).start)));
+    chunks.forEach((chunk, index) => {
+        assert.ok(tagged.subarray(offsets[index], offsets[index] + chunk.length).equals(chunk));
+    });
+});
+
+test('MP4: an existing initialkey atom is replaced and other items are kept', () => {
+    const title = box('©nam', box('data', uint32BE(1), Buffer.alloc(4), Buffer.from('Track')));
+    const oldKey = box('----',
+        fullBox('mean', Buffer.from('com.apple.iTunes')),
+        fullBox('name', Buffer.from('initialKey')),
+        box('data', uint32BE(1), Buffer.alloc(4), Buffer.from('1A')));
+    const hdlr = fullBox('hdlr', Buffer.alloc(4), Buffer.from('mdirappl'), Buffer.alloc(9));
+    const udta = box('udta', fullBox('meta', hdlr, box('ilst', title, oldKey)));
+
+    const { file, chunks } = buildMp4({ udta });
+    const tagged = writeKey(file, 'Am');
+    const { keys, offsets, ilst } = readMp4(tagged);
+
+    assert.deepEqual(keys, ['Am']);
+    const [firstItem] = readBoxes(tagged, ilst.contentStart, ilst.end);
+    assert.ok(tagged.subarray(firstItem.start, firstItem.end).equals(title));
+    chunks.forEach((chunk, index) => {
+        assert.ok(tagged.subarray(offsets[index], offsets[index] + chunk.length).equals(chunk));
+    });
+});
+
+test('files that are not MP3, FLAC, Ogg or MP4 are refused', () => {
+    assert.throws(() => writeKey(Buffer.from('RIFF\0\0\0\0WAVE'), '8A'), /Unsupported file type/);
+});
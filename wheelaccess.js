@@ -0,0 +1,139 @@
+// Wheel keyboard and screen reader access
+// The wheel segments are buttons with one tab stop between them: the arrow keys move around the circle
+// (left/right) and between the rings (up to major, down to minor), and Enter or Space plays the key
+// while held. Keys shown in the center display are announced through a live region.
+// Other keys pass through to the piano hotkeys, so the piano can still be played with the wheel focused.
+
+// Keys handled by the focused wheel
+const WHEEL_STEPS = {
+    ArrowRight: { step: 1 },
+    ArrowLeft: { step: -1 },
+    ArrowUp: { ring: 'major' },
+    ArrowDown: { ring: 'minor' }
+};
+
+// Wheel access state
+let wheelRings = null; // { minor: [paths], major: [paths] } clockwise in Camelot order
+let wheelKeyFrequency = null; // Octave-shifted frequency started with Enter or Space
+let lastAnnouncement = '';
+
+// Find a segment's ring and position around the circle
+function getWheelPosition(path) {
+    for (const ring of ['minor', 'major']) {
+        const index = wheelRings[ring].indexOf(path);
+        if (index > -1) return { ring, index };
+    }
+    return null;
+}
+
+// Move the tab stop to a segment and focus it
+function focusWheelSegment(path) {
+    Object.values(wheelSegments).forEach(segment => {
+        segment.path.setAttribute('tabindex', segment.path === path ? '0' : '-1');
+    });
+    path.focus();
+}
+
+// Outline the focused segment (the path's own stroke is hidden under its neighbours)
+function drawWheelFocus(path) {
+    const focusLayer = document.getElementById('wheel-focus');
+    focusLayer.innerHTML = '';
+    if (!path) return;
+
+    const key = `${path.getAttribute('data-note')}-${path.getAttribute('data-chord-type')}`;
+    const outline = createSegmentOutline(key, 'wheel-focus-outline');
+    if (outline) focusLayer.appendChild(outline);
+}
+
+// Name each segment for screen readers in the current notation, e.g. "8A, A minor"
+function updateWheelAriaLabels() {
+    const keyNotation = notationType === 'camelot' ? camelotKeys : openKeys;
+    Object.values(wheelSegments).forEach(({ path }) => {
+        const noteName = path.getAttribute('data-note');
+        const type = path.getAttribute('data-chord-type');
+        path.setAttribute('aria-label', `${keyNotation[noteName][type]}, ${formatNoteName(noteName)} ${type}`);
+    });
+}
+
+// Announce what the center display shows when it changes
+function announceCenterDisplay() {
+    const mainText = document.getElementById('center-main-key').textContent;
+    const detailText = document.getElementById('center-detail').textContent;
+    if (mainText === '--') return;
+
+    const announcement = detailText ? `${mainText}, ${detailText}` : mainText;
+    if (announcement === lastAnnouncement) return;
+    lastAnnouncement = announcement;
+    document.getElementById('wheel-announcer').textContent = announcement;
+}
+
+// Stop the key started from the keyboard
+function releaseWheelKey() {
+    if (!wheelKeyFrequency) return;
+    stopNote(wheelKeyFrequency);
+    wheelKeyFrequency = null;
+}
+
+// Arrow keys move, Enter and Space play (they don't reach the piano hotkeys)
+function handleWheelKeyDown(e) {
+    const position = getWheelPosition(e.target);
+    if (!position || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const move = WHEEL_STEPS[e.key];
+    if (move) {
+        e.preventDefault();
+        e.stopPropagation();
+        const ring = move.ring || position.ring;
+        const index = (position.index + (move.step || 0) + 12) % 12;
+        focusWheelSegment(wheelRings[ring][index]);
+        return;
+    }
+
+    if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.repeat) return;
+
+        const playable = playableElements.get(e.target);
+        if (latchMode) {
+            toggleDrone(playable.frequency, playable.source, playable.chordType, playable.octaveOffset);
+            return;
+        }
+        releaseWheelKey();
+        wheelKeyFrequency = startPointerNote(playable);
+    }
+}
+
+function handleWheelKeyUp(e) {
+    if (e.key === 'Enter' || e.key === ' ') {
+        e.stopPropagation();
+        releaseWheelKey();
+    }
+}
+
+// Setup wheel focus, keyboard control and announcements
+function setupWheelAccessibility() {
+    const wheelSvg = document.querySelector('.note-wheel');
+
+    wheelRings = {
+        minor: notes.map(note => wheelSegments[`${note.name}-minor`].path),
+        major: notes.map(note => wheelSegments[`${shiftNoteBySemitones(note.name, 3)}-major`].path)
+    };
+
+    // The visual labels repeat the segment names
+    document.querySelectorAll('.note-label').forEach(label => label.setAttribute('aria-hidden', 'true'));
+
+    Object.values(wheelSegments).forEach(({ path }) => {
+        path.setAttribute('role', 'button');
+        path.setAttribute('tabindex', '-1');
+        path.addEventListener('focus', () => drawWheelFocus(path));
+        path.addEventListener('blur', () => {
+            drawWheelFocus(null);
+            releaseWheelKey();
+        });
+    });
+    wheelRings.minor[0].setAttribute('tabindex', '0');
+
+    wheelSvg.addEventListener('keydown', handleWheelKeyDown);
+    wheelSvg.addEventListener('keyup', handleWheelKeyUp);
+}